@@ -0,0 +1,82 @@
+/**
+ * AI Tab Navigator - Full-Text Content Index
+ *
+ * Aggressive search looks page text up here instead of reading every tab again on every query.
+ * The service worker adds a tab's text each time it reads the tab (when it loads, navigates
+ * in-app or changes, and on the periodic recheck), so tabs that can no longer be read, like
+ * discarded tabs, stay searchable. The text itself goes to FULL_TEXT_STORE for quoted phrases
+ * and PDF page numbers.
+ *
+ * Same shape as the keyword index (see search_index.js) with only the content field, stored
+ * as one IndexedDB record per tab ID, so each update writes only the tabs it concerns. Each
+ * record also keeps its page's normalized URL, so docs follow their page to a new tab ID after
+ * a browser restart. A long page takes up about 150 KB; when space runs low the least recently
+ * read pages are evicted and aggressive search reads those tabs directly again.
+ */
+
+async function loadContentIndex() {
+  return loadStoredIndex(CONTENT_INDEX_STORE);
+}
+
+/**
+ * Index the text of tabs that were just read: [{ id, url, text, pages?, language }]. Their text
+ * is stored as well; tabs whose text has not changed are only marked as read.
+ */
+async function indexPageContent(items) {
+  if (!items.length) return;
+  const now = Date.now();
+
+  await storagePut(FULL_TEXT_STORE, items.map(item => ({
+    key: normalizeUrl(item.url), text: item.text, pages: item.pages, language: item.language, timestamp: now
+  })));
+
+  const stored = await storageGetMany(CONTENT_INDEX_STORE, items.map(item => String(item.id)));
+  const records = [];
+  const unchangedKeys = [];
+  items.forEach((item, i) => {
+    const fields = { content: item.text, language: item.language };
+    const url = normalizeUrl(item.url);
+    const sig = getDocumentSignature(fields);
+    if (stored[i]?.version === SEARCH_INDEX_VERSION && stored[i].sig === sig && stored[i].url === url) {
+      unchangedKeys.push(stored[i].key);
+    } else {
+      records.push({ ...createIndexRecord(item.id, fields, sig), url });
+    }
+  });
+
+  await storageTouch(CONTENT_INDEX_STORE, unchangedKeys);
+  if (records.length) {
+    await storagePut(CONTENT_INDEX_STORE, records);
+    console.debug('[ContentIndex] Indexed', records.length, 'pages');
+  }
+}
+
+async function removeFromContentIndex(docIds) {
+  await storageDelete(CONTENT_INDEX_STORE, docIds.map(String));
+}
+
+/**
+ * Match the index to the open tabs: docs whose page is now open under another tab ID (after a
+ * restart, or a tab closed and reopened) move to it, docs of pages no longer open are dropped.
+ */
+async function syncContentIndexTabs(tabs) {
+  const urlByTabId = new Map(tabs.map(t => [String(t.id), normalizeUrl(t.url)]));
+  const docUrls = await storageGetIndexEntries(CONTENT_INDEX_STORE, 'url'); // [[tabId, url]]
+  const indexedIds = new Set(docUrls.map(([id]) => id));
+
+  const stale = docUrls.filter(([id, url]) => urlByTabId.get(id) !== url);
+  const dropped = [];
+  for (const [id, url] of stale) {
+    const newTab = tabs.find(t => urlByTabId.get(String(t.id)) === url && !indexedIds.has(String(t.id)));
+    if (newTab && await storageMoveRecord(CONTENT_INDEX_STORE, id, String(newTab.id))) {
+      indexedIds.add(String(newTab.id));
+    } else {
+      dropped.push(id);
+    }
+  }
+  await storageDelete(CONTENT_INDEX_STORE, dropped);
+
+  if (stale.length) {
+    console.debug('[ContentIndex] Moved or dropped', stale.length, 'docs for tabs that changed');
+  }
+}
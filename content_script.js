@@ -1,49 +1,740 @@
-// This runs in the context of each web page
+// This runs in the context of each web page. The popup and the service worker inject it again
+// into tabs opened before the extension loaded, so it only sets itself up once per page.
+//
+// extractPageText finds the page's main content the way reader modes do: an <article>/<main>
+// landmark when there is one, otherwise the block the most paragraph text hangs off. Navigation,
+// cookie banners, footers and sidebars are dropped before the text is read. Open shadow roots
+// (web components) are read as part of their host, and same-origin frames are read too and
+// appended after the page text, each introduced by "[Frame: title]".
+//
+// Sites whose pages are mostly chrome around a little content (YouTube, GitHub, Stack Exchange,
+// documentation sites) have their own extractors in SITE_EXTRACTORS, which read the structured
+// parts of the page instead and fall back to the generic extraction when they find nothing.
+//
+// extractPageMetadata reads what the page says about itself (JSON-LD, schema.org microdata,
+// OpenGraph and article meta tags): what kind of page it is, author, publish date, site name,
+// price and reading time. The search filters type:, author: and published: run on it.
+//
+// Single-page apps (Gmail, Slack, Notion, Figma) change what they show without loading a new
+// page, so in-page navigations and large DOM changes are reported to the service worker, which
+// reads the tab again.
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'extractPageText') {
+(() => {
+  if (window.aiTabNavigatorContentScript) return;
+  window.aiTabNavigatorContentScript = true;
+
+  const MAX_TEXT_LENGTH = 50000;
+  const MAX_HEADINGS = 50;
+
+  // Never content. Not <form> or aria-hidden: some sites wrap the whole page in a form
+  // (ASP.NET WebForms, many CMSes), and a modal marks the rest of the page aria-hidden
+  const REMOVED_ELEMENTS = 'script, style, noscript, template, iframe, svg, canvas, input, textarea, select, button, dialog, '
+    + 'nav, aside, [hidden], [role="navigation"], [role="banner"], [role="contentinfo"], '
+    + '[role="complementary"], [role="dialog"], [role="alertdialog"], [role="search"]';
+
+  // Page-level headers and footers; the ones inside an article hold its title and byline
+  const PAGE_CHROME_ELEMENTS = 'header, footer';
+
+  // Class/id hints for boilerplate, and hints that rescue a block anyway (from Readability)
+  const UNLIKELY_CANDIDATE = /banner|breadcrumb|combx|community|cookie|consent|disqus|extra|foot|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|toolbar|tweet|twitter|ad-break|advert/i;
+  const MAYBE_CANDIDATE = /and|article|body|column|content|main|post|shadow|story|text/i;
+
+  // Blocks that are mostly links (menus, tag clouds, "more stories") and short
+  const MAX_LINK_DENSITY = 0.5;
+  const MIN_BLOCK_TEXT = 200;
+
+  // A landmark is trusted when it holds at least this share of the page's paragraph text
+  const MIN_LANDMARK_SHARE = 0.5;
+
+  // Below this much main text the page is probably not an article; fall back to the whole body
+  const MIN_MAIN_TEXT = 250;
+
+  // schema.org types -> the page kinds the type: filter knows
+  const SCHEMA_TYPE_KINDS = {
+    Article: 'article', NewsArticle: 'article', BlogPosting: 'article', TechArticle: 'article',
+    ScholarlyArticle: 'article', Report: 'article', SocialMediaPosting: 'article', LiveBlogPosting: 'article',
+    Product: 'product', ProductGroup: 'product', VideoObject: 'video', Movie: 'video', TVEpisode: 'video',
+    Recipe: 'recipe', Event: 'event', Book: 'book', Course: 'course', SoftwareApplication: 'software',
+    SoftwareSourceCode: 'software', QAPage: 'question', Question: 'question', JobPosting: 'job',
+    ProfilePage: 'profile', Person: 'profile', MusicRecording: 'music', MusicAlbum: 'music'
+  };
+
+  // og:type values (before any ".subtype") -> page kinds; "website" says nothing
+  const OPEN_GRAPH_KINDS = { article: 'article', product: 'product', video: 'video', book: 'book', profile: 'profile', music: 'music' };
+
+  const WORDS_PER_MINUTE = 230;
+
+  // In-page navigations are reported once the new view has had time to render
+  const NAVIGATION_SETTLE_MS = 1500;
+
+  // DOM changes are reported once they pause for MUTATION_SETTLE_MS (or have gone on for
+  // MUTATION_MAX_WAIT_MS), at most once per MUTATION_NOTIFY_INTERVAL_MS so chat apps and live
+  // feeds don't keep the tab in the summary queue
+  const MUTATION_SETTLE_MS = 5000;
+  const MUTATION_MAX_WAIT_MS = 30000;
+  const MUTATION_NOTIFY_INTERVAL_MS = 2 * 60 * 1000;
+
+  // A change is large when it adds or removes this much text, or this share of the page
+  const MIN_CHANGED_CHARS = 1000;
+  const MIN_CHANGED_SHARE = 0.2;
+
+  // Same-origin frames are read this many levels deep (frames in frames). Smaller iframes are
+  // widgets, ads or tracking pixels rather than content
+  const MAX_FRAME_DEPTH = 3;
+  const MIN_FRAME_WIDTH = 200;
+  const MIN_FRAME_HEIGHT = 100;
+
+  const BLOCK_ELEMENTS = new Set([
+    'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'H1', 'H2', 'H3',
+    'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL'
+  ]);
+
+  // Hostname (or parent domain) -> extractor returning { type, kind, text, headings } or null
+  const SITE_EXTRACTORS = {
+    'youtube.com': extractYouTube,
+    'github.com': extractGitHub,
+    'stackoverflow.com': extractStackExchange,
+    'stackexchange.com': extractStackExchange,
+    'superuser.com': extractStackExchange,
+    'serverfault.com': extractStackExchange,
+    'askubuntu.com': extractStackExchange,
+    'mathoverflow.net': extractStackExchange,
+    'developer.mozilla.org': extractDocs,
+    'readthedocs.io': extractDocs,
+    'readthedocs.org': extractDocs,
+    'docs.python.org': extractDocs,
+    'learn.microsoft.com': extractDocs
+  };
+
+  // Main content containers of common documentation generators (Sphinx, Docusaurus, MkDocs, MDN...)
+  const DOCS_CONTENT_SELECTORS = [
+    'main article', '.rst-content [role="main"]', '[role="main"] .body', '.theme-doc-markdown',
+    '.md-content article', '.markdown-body', 'article', 'main', '[role="main"]'
+  ];
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'extractPageText') {
+      // Chrome's PDF viewer has no page text to read; the extension reads the file instead
+      if (document.contentType === 'application/pdf') {
+        sendResponse({ success: false, pdf: true, tabId: request.tabId });
+        return;
+      }
+
+      try {
+        const site = extractSiteContent();
+        const { text, headings } = site || extractPageText();
+        const metadata = extractPageMetadata(text, site?.kind);
+
+        sendResponse({
+          success: true,
+          text,
+          headings,
+          site: site?.type || '',
+          metadata,
+          // Site extractors already include what the description says
+          description: site ? '' : getMetaDescription(),
+          lang: document.documentElement.lang || '',
+          tabId: request.tabId
+        });
+      } catch (error) {
+        sendResponse({
+          success: false,
+          error: error.message,
+          tabId: request.tabId
+        });
+      }
+    }
+
+    return true;
+  });
+
+  watchPageChanges();
+
+  function notifyPageChanged(reason) {
     try {
-      const pageText = extractPageText();
-      
-      sendResponse({
-        success: true,
-        text: pageText,
-        tabId: request.tabId
-      });
-    } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message,
-        tabId: request.tabId
-      });
-    }
-  }
-  
-  return true;
-});
-
-function extractPageText() {
-  const body = document.body;
-  if (!body) return '';
-  
-  const clone = body.cloneNode(true);
-  
-  const elementsToRemove = clone.querySelectorAll(
-    'script, style, noscript, iframe, svg, canvas, input, textarea, select, button'
-  );
-  elementsToRemove.forEach(el => el.remove());
-  
-  let text = clone.innerText || clone.textContent || '';
-  
-  text = text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, ' ')
-    .trim();
-  
-  // Limit to 50,000 characters
-  if (text.length > 50000) {
-    text = text.substring(0, 50000);
-  }
-  
-  return text;
-}
+      chrome.runtime.sendMessage({ action: 'pageContentChanged', reason }).catch(() => {});
+    } catch (e) {
+      // The extension was reloaded or removed; this copy of the script is orphaned
+    }
+  }
+
+  function watchPageChanges() {
+    const getPageUrl = () => location.href.replace(/#.*$/, '');
+    const getPageTextLength = () => document.body?.textContent.length || 0;
+
+    let lastUrl = getPageUrl();
+    let navigationTimer = null;
+    let mutationTimer = null;
+    let pendingSince = 0;
+    let lastMutationNotice = 0;
+    let changedChars = 0;
+    let baselineChars = getPageTextLength();
+
+    const resetChanges = () => {
+      changedChars = 0;
+      baselineChars = getPageTextLength();
+    };
+
+    // pushState/replaceState and back/forward; fragment-only changes stay on the same page
+    const onNavigation = () => {
+      const url = getPageUrl();
+      if (url === lastUrl) return;
+      lastUrl = url;
+      clearTimeout(navigationTimer);
+      navigationTimer = setTimeout(() => {
+        clearTimeout(mutationTimer);
+        mutationTimer = null;
+        resetChanges();
+        notifyPageChanged('navigation');
+      }, NAVIGATION_SETTLE_MS);
+    };
+    window.navigation?.addEventListener('currententrychange', onNavigation);
+    window.addEventListener('popstate', onNavigation);
+
+    const flushMutations = () => {
+      mutationTimer = null;
+      const wait = lastMutationNotice + MUTATION_NOTIFY_INTERVAL_MS - Date.now();
+      if (wait > 0) {
+        mutationTimer = setTimeout(flushMutations, wait);
+        return;
+      }
+      lastMutationNotice = Date.now();
+      resetChanges();
+      notifyPageChanged('content');
+    };
+
+    const observer = new MutationObserver((records) => {
+      for (const record of records) {
+        if (record.type === 'characterData') {
+          changedChars += Math.abs(record.target.length - (record.oldValue || '').length);
+          continue;
+        }
+        for (const node of record.addedNodes) changedChars += node.textContent?.length || 0;
+        for (const node of record.removedNodes) changedChars += node.textContent?.length || 0;
+      }
+      if (changedChars < Math.max(MIN_CHANGED_CHARS, baselineChars * MIN_CHANGED_SHARE)) return;
+
+      // Debounce, but don't let a page that never stops changing put the notice off forever
+      if (!mutationTimer) pendingSince = Date.now();
+      else if (Date.now() - pendingSince > MUTATION_MAX_WAIT_MS) return;
+      clearTimeout(mutationTimer);
+      mutationTimer = setTimeout(flushMutations, MUTATION_SETTLE_MS);
+    });
+    if (document.body) {
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true, characterDataOldValue: true });
+    }
+  }
+
+  // Main text of the page and its frames plus their heading outline ([{ level, text }])
+  function extractPageText() {
+    let { text, headings } = extractDocumentText(document);
+    for (const frame of extractFrameTexts(document, 1)) {
+      if (text.length >= MAX_TEXT_LENGTH) break;
+      text = `${text}\n[Frame: ${frame.label}] ${frame.text}`.trim();
+      headings = headings.concat(frame.headings);
+    }
+    return { text: text.substring(0, MAX_TEXT_LENGTH), headings: headings.slice(0, MAX_HEADINGS) };
+  }
+
+  function extractDocumentText(doc) {
+    const body = doc.body;
+    if (!body) return { text: '', headings: [] };
+
+    const clone = cloneWithShadowRoots(body);
+    removeBoilerplate(clone);
+
+    let main = findMainContent(clone);
+    pruneLinkBlocks(main);
+
+    let text = getBlockText(main);
+    if (text.length < MIN_MAIN_TEXT && main !== clone) {
+      main = clone;
+      text = getBlockText(clone);
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      text = text.substring(0, MAX_TEXT_LENGTH);
+    }
+
+    return { text, headings: getHeadings(main) };
+  }
+
+  // Text of the same-origin frames in a document, frames inside them included, as
+  // [{ label, text, headings }]. Reading a cross-origin frame's document throws, so those are skipped
+  function extractFrameTexts(doc, depth) {
+    if (depth > MAX_FRAME_DEPTH) return [];
+    const frames = [];
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      // <frame>s fill a frameset, so only iframes are judged by size
+      if (frame.tagName === 'IFRAME' && (frame.offsetWidth < MIN_FRAME_WIDTH || frame.offsetHeight < MIN_FRAME_HEIGHT)) continue;
+
+      let frameDoc = null;
+      try {
+        frameDoc = frame.contentDocument;
+      } catch (e) {}
+      if (!frameDoc?.body) continue;
+
+      const { text, headings } = extractDocumentText(frameDoc);
+      if (text) frames.push({ label: getFrameLabel(frame, frameDoc), text, headings });
+      frames.push(...extractFrameTexts(frameDoc, depth + 1));
+    }
+    return frames;
+  }
+
+  function getFrameLabel(frame, frameDoc) {
+    const label = frameDoc.title || frame.title || frame.getAttribute('name') || frameDoc.location.pathname || 'embedded page';
+    return label.replace(/\s+/g, ' ').trim().slice(0, 80);
+  }
+
+  // Copy of an element with its open shadow roots inlined and their slots filled with what is
+  // rendered there; cloneNode leaves shadow roots behind. Pages without any take the fast path
+  function cloneWithShadowRoots(root) {
+    if (![...root.querySelectorAll('*')].some(el => el.shadowRoot)) return root.cloneNode(true);
+
+    const cloneElement = (el) => {
+      const copy = el.cloneNode(false);
+      appendChildren(copy, el.shadowRoot || el);
+      return copy;
+    };
+    const appendChildren = (copy, parent) => {
+      for (const child of parent.childNodes) {
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          copy.appendChild(child.cloneNode(false));
+        } else if (child.tagName === 'SLOT') {
+          // A slot shows the host's children assigned to it, or its own fallback content
+          const assigned = child.assignedNodes({ flatten: true });
+          if (!assigned.length) appendChildren(copy, child);
+          assigned.forEach(node => copy.appendChild(node.nodeType === Node.ELEMENT_NODE ? cloneElement(node) : node.cloneNode(false)));
+        } else {
+          copy.appendChild(cloneElement(child));
+        }
+      }
+    };
+    return cloneElement(root);
+  }
+
+  // The site extractor for this page's host, walking up parent domains (m.youtube.com -> youtube.com)
+  function findSiteExtractor(hostname) {
+    const parts = hostname.replace(/^www\./, '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const extractor = SITE_EXTRACTORS[parts.slice(i).join('.')];
+      if (extractor) return extractor;
+    }
+    return hostname.startsWith('docs.') ? extractDocs : null;
+  }
+
+  function extractSiteContent() {
+    const extractor = findSiteExtractor(location.hostname);
+    if (!extractor) return null;
+    try {
+      const result = extractor();
+      if (!result?.text) return null;
+      return { ...result, text: result.text.substring(0, MAX_TEXT_LENGTH) };
+    } catch (e) {
+      console.debug('[Extract] Site extractor failed, using generic extraction:', e);
+      return null;
+    }
+  }
+
+  // "Label: value" lines for the fields that were found
+  function formatFields(fields) {
+    return fields
+      .filter(([, value]) => value && value.length)
+      .map(([label, value]) => `${label}: ${Array.isArray(value) ? value.join('; ') : value}`)
+      .join('\n');
+  }
+
+  function queryText(selectors, root = document) {
+    for (const selector of [].concat(selectors)) {
+      const el = root.querySelector(selector);
+      const text = el && getText(el);
+      if (text) return text;
+    }
+    return '';
+  }
+
+  function queryAllText(selector, root = document) {
+    return [...new Set([...root.querySelectorAll(selector)].map(getText).filter(Boolean))];
+  }
+
+  // Block text of an element with scripts, buttons and other non-content removed
+  function getCleanText(el) {
+    if (!el) return '';
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(REMOVED_ELEMENTS).forEach(child => child.remove());
+    return getBlockText(clone);
+  }
+
+  // Watch pages: title, channel, description and chapters, without comments or recommendations
+  function extractYouTube() {
+    if (location.pathname !== '/watch' && !location.pathname.startsWith('/shorts/')) return null;
+
+    const title = queryText(['h1.ytd-watch-metadata', '#title h1'])
+      || document.querySelector('meta[name="title"]')?.getAttribute('content')
+      || document.title.replace(/ - YouTube$/, '');
+    const channel = queryText(['ytd-watch-metadata ytd-channel-name a', '#owner #channel-name a', '#channel-name a'])
+      || document.querySelector('span[itemprop="author"] link[itemprop="name"]')?.getAttribute('content') || '';
+    const description = getCleanText(document.querySelector('#description-inline-expander, ytd-text-inline-expander, #description'))
+      || getMetaDescription();
+
+    // Chapters come from timestamps in the description, or the chapter markers under the player
+    const chapters = queryAllText('ytd-macro-markers-list-item-renderer h4');
+    if (!chapters.length) {
+      const descriptionLines = document.querySelector('#description-inline-expander')?.innerText || '';
+      for (const match of descriptionLines.matchAll(/^\s*((?:\d{1,2}:)?\d{1,2}:\d{2})\s*[-–:]?\s*(.+)$/gm)) {
+        chapters.push(`${match[1]} ${match[2].trim()}`);
+      }
+    }
+
+    return {
+      type: 'YouTube video',
+      kind: 'video',
+      text: formatFields([['Video', title], ['Channel', channel], ['Chapters', chapters], ['Description', description]]),
+      headings: chapters.map(chapter => ({ level: 2, text: chapter }))
+    };
+  }
+
+  // Repositories (name, about, topics, README), issues and pull requests (title, state, labels,
+  // opening comment) and files; not the file tree, menus or footers around them
+  function extractGitHub() {
+    // Not gist.github.com or other subdomains
+    if (location.hostname !== 'github.com') return null;
+    const [owner, repo, section, ...rest] = location.pathname.split('/').filter(Boolean);
+    if (!owner || !repo) return null;
+    const repoName = `${owner}/${repo}`;
+
+    if (section === 'issues' || section === 'pull') {
+      if (!/^\d+$/.test(rest[0] || '')) return null;
+      const title = queryText(['[data-testid="issue-title"]', '.js-issue-title', 'h1 bdi']);
+      const state = queryText(['[data-testid="header-state"]', '.gh-header-meta .State', '.State']);
+      const labels = queryAllText('[data-testid="issue-labels"] a, .js-issue-labels .IssueLabel');
+      const body = getCleanText(document.querySelector('[data-testid="issue-body"] .markdown-body, .js-comment-body, .comment-body'));
+      return {
+        type: section === 'pull' ? 'GitHub pull request' : 'GitHub issue',
+        kind: 'issue',
+        text: formatFields([['Repository', repoName], ['Title', title], ['State', state], ['Labels', labels], ['Description', body]]),
+        headings: getHeadings(document.querySelector('[data-testid="issue-body"], .js-comment-body'))
+      };
+    }
+
+    if (section === 'blob') {
+      const path = rest.slice(1).join('/');
+      const markdown = document.querySelector('article.markdown-body');
+      const code = markdown ? '' : (document.querySelector('#read-only-cursor-text-area')?.value
+        || queryAllText('.blob-code-inner').join('\n'));
+      return {
+        type: 'GitHub file',
+        kind: 'software',
+        text: formatFields([['Repository', repoName], ['File', path], ['Content', markdown ? getCleanText(markdown) : code]]),
+        headings: getHeadings(markdown)
+      };
+    }
+
+    if (section && section !== 'tree') return null;
+    const about = queryText(['.BorderGrid .f4', '[itemprop="about"]']) || getMetaDescription();
+    const topics = queryAllText('a.topic-tag');
+    const readme = document.querySelector('#readme article.markdown-body, article.markdown-body');
+    return {
+      type: 'GitHub repository',
+      kind: 'software',
+      text: formatFields([['Repository', repoName], ['About', about], ['Topics', topics], ['README', getCleanText(readme)]]),
+      headings: getHeadings(readme)
+    };
+  }
+
+  // Question pages: title, tags, question and the accepted (or top) answer, without the sidebars
+  function extractStackExchange() {
+    if (!/^\/questions\/\d+/.test(location.pathname)) return null;
+    const question = document.querySelector('#question');
+    if (!question) return null;
+
+    const title = queryText(['#question-header h1', 'h1[itemprop="name"]']);
+    const tags = queryAllText('.post-tag', question);
+    const accepted = document.querySelector('.answer.accepted-answer, [itemprop="acceptedAnswer"]');
+    const answer = accepted || document.querySelector('#answers .answer');
+    return {
+      type: 'Stack Exchange question',
+      kind: 'question',
+      text: formatFields([
+        ['Question', title],
+        ['Tags', tags],
+        ['Details', getCleanText(question.querySelector('.s-prose, .js-post-body'))],
+        [accepted ? 'Accepted answer' : 'Top answer', answer ? getCleanText(answer.querySelector('.s-prose, .js-post-body')) : '']
+      ]),
+      headings: []
+    };
+  }
+
+  // Documentation pages: breadcrumb trail and the article, without the navigation tree or table of contents
+  function extractDocs() {
+    const content = DOCS_CONTENT_SELECTORS.map(selector => document.querySelector(selector)).find(Boolean);
+    if (!content) return null;
+
+    const clone = content.cloneNode(true);
+    removeBoilerplate(clone);
+    const text = getBlockText(clone);
+    if (text.length < MIN_MAIN_TEXT) return null;
+
+    const breadcrumbs = queryAllText('nav[aria-label*="readcrumb" i] li, .breadcrumbs li, .wy-breadcrumbs li, .breadcrumbs__item');
+    const title = queryText(['h1']) || document.title;
+    return {
+      type: 'Documentation page',
+      kind: 'documentation',
+      text: formatFields([['Page', title], ['Section', breadcrumbs.join(' > ')], ['Content', text]]),
+      headings: getHeadings(clone)
+    };
+  }
+
+  /**
+   * { kind, author, publishedAt, siteName, price, currency, readingMinutes }, fields missing when
+   * the page does not say. JSON-LD wins over microdata, which wins over meta tags; siteKind
+   * (from a site extractor) is used when the page declares no type.
+   */
+  function extractPageMetadata(text, siteKind) {
+    const metadata = {};
+    const assign = (values) => {
+      for (const [key, value] of Object.entries(values)) {
+        if (metadata[key] === undefined && value !== undefined && value !== null && value !== '') metadata[key] = value;
+      }
+    };
+
+    try {
+      assign(readSchemaMetadata(getMainJsonLdItem()));
+    } catch (e) {
+      console.debug('[Extract] Could not read JSON-LD:', e);
+    }
+    assign(readMicrodata());
+    assign(readMetaTags());
+    assign({ kind: siteKind });
+
+    if (metadata.publishedAt) {
+      const date = new Date(metadata.publishedAt);
+      if (isNaN(date)) delete metadata.publishedAt;
+      else metadata.publishedAt = date.toISOString();
+    }
+    if (metadata.price !== undefined) {
+      const price = parseFloat(String(metadata.price).replace(/[^\d.]/g, ''));
+      if (isNaN(price)) delete metadata.price;
+      else metadata.price = price;
+    }
+    if (!metadata.readingMinutes && metadata.kind === 'article' && text) {
+      metadata.readingMinutes = Math.max(1, Math.round(text.split(/\s+/).length / WORDS_PER_MINUTE));
+    }
+    return metadata;
+  }
+
+  // JSON-LD items on the page, with @graph lists flattened
+  function getJsonLdItems() {
+    const items = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      let queue;
+      try {
+        queue = [].concat(JSON.parse(script.textContent));
+      } catch (e) {
+        continue;
+      }
+      while (queue.length) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        if (item['@graph']) queue.push(...[].concat(item['@graph']));
+        items.push(item);
+      }
+    }
+    return items;
+  }
+
+  function getSchemaKind(type) {
+    for (const name of [].concat(type || [])) {
+      const kind = SCHEMA_TYPE_KINDS[String(name).replace(/^.*[/#]/, '')];
+      if (kind) return kind;
+    }
+    return null;
+  }
+
+  // The item describing the page itself rather than its publisher, breadcrumbs or website
+  function getMainJsonLdItem() {
+    const items = getJsonLdItems();
+    const webPage = items.find(item => [].concat(item['@type']).some(type => /WebPage$/.test(type)));
+    const mainEntity = webPage?.mainEntity && typeof webPage.mainEntity === 'object' ? webPage.mainEntity : null;
+    const candidates = [mainEntity, ...items].filter(item => item && getSchemaKind(item['@type']));
+    // A Person is usually the author of the page, not its subject
+    return candidates.find(item => getSchemaKind(item['@type']) !== 'profile') || candidates[0] || null;
+  }
+
+  function getSchemaName(value) {
+    return [].concat(value || [])
+      .map(entry => typeof entry === 'string' ? entry : entry?.name)
+      .filter(name => typeof name === 'string' && name && !/^https?:/.test(name))
+      .join(', ');
+  }
+
+  // ISO 8601 duration ("PT1H5M") -> minutes
+  function parseDurationMinutes(duration) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+    if (!match) return undefined;
+    const minutes = (Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0);
+    return minutes || undefined;
+  }
+
+  function readSchemaMetadata(item) {
+    if (!item) return {};
+    const offer = [].concat(item.offers || [])[0] || {};
+    return {
+      kind: getSchemaKind(item['@type']),
+      author: getSchemaName(item.author || item.creator || item.director),
+      publishedAt: item.datePublished || item.uploadDate || item.startDate || item.dateCreated,
+      siteName: getSchemaName(item.publisher),
+      price: offer.price ?? offer.lowPrice,
+      currency: offer.priceCurrency,
+      readingMinutes: parseDurationMinutes(item.timeRequired)
+    };
+  }
+
+  function readMicrodata() {
+    const scope = [...document.querySelectorAll('[itemscope][itemtype*="schema.org"]')]
+      .find(el => getSchemaKind(el.getAttribute('itemtype')));
+    if (!scope) return {};
+
+    const prop = (name) => {
+      const el = scope.querySelector(`[itemprop="${name}"]`);
+      if (!el) return undefined;
+      return el.getAttribute('content') || el.getAttribute('datetime')
+        || (el.hasAttribute('itemscope') ? queryText('[itemprop="name"]', el) : getText(el)) || undefined;
+    };
+    return {
+      kind: getSchemaKind(scope.getAttribute('itemtype')),
+      author: prop('author'),
+      publishedAt: prop('datePublished') || prop('uploadDate'),
+      price: prop('price'),
+      currency: prop('priceCurrency')
+    };
+  }
+
+  function readMetaTags() {
+    const meta = (...names) => {
+      for (const name of names) {
+        const content = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content');
+        if (content) return content.trim();
+      }
+      return undefined;
+    };
+
+    // Blogs often state the reading time as a Twitter card label ("Est. reading time: 5 minutes")
+    let readingMinutes;
+    for (const n of [1, 2]) {
+      if (/reading time/i.test(meta(`twitter:label${n}`) || '')) readingMinutes = parseInt(meta(`twitter:data${n}`), 10) || undefined;
+    }
+
+    const author = meta('article:author', 'author', 'twitter:creator');
+    return {
+      kind: OPEN_GRAPH_KINDS[(meta('og:type') || '').split('.')[0].toLowerCase()],
+      author: author && !/^https?:/.test(author) ? author : undefined,
+      publishedAt: meta('article:published_time', 'og:published_time', 'datePublished', 'date')
+        || document.querySelector('article time[datetime], time[itemprop="datePublished"]')?.getAttribute('datetime'),
+      siteName: meta('og:site_name', 'application-name'),
+      price: meta('product:price:amount', 'og:price:amount'),
+      currency: meta('product:price:currency', 'og:price:currency'),
+      readingMinutes
+    };
+  }
+
+  function getMetaDescription() {
+    return document.querySelector('meta[name="description"]')?.getAttribute('content')
+      || document.querySelector('meta[property="og:description"]')?.getAttribute('content')
+      || '';
+  }
+
+  function removeBoilerplate(root) {
+    root.querySelectorAll(REMOVED_ELEMENTS).forEach(el => el.remove());
+    root.querySelectorAll(PAGE_CHROME_ELEMENTS).forEach(el => {
+      if (!el.parentElement?.closest('article, main, [role="main"]')) el.remove();
+    });
+
+    // A hint on a wrapper of most of the page ("layout-with-sidebar") does not make it boilerplate
+    const pageTextLength = getText(root).length;
+    for (const el of [...root.querySelectorAll('div, section, span, ul, p, table')]) {
+      if (!root.contains(el) || el.closest('article, main, [role="main"]') === el) continue;
+      const hint = `${el.id} ${typeof el.className === 'string' ? el.className : ''}`;
+      if (!UNLIKELY_CANDIDATE.test(hint) || MAYBE_CANDIDATE.test(hint)) continue;
+      if (getText(el).length < pageTextLength * 0.3) el.remove();
+    }
+  }
+
+  // The landmark holding most of the paragraph text, else the best-scoring paragraph container
+  function findMainContent(root) {
+    const paragraphs = [...root.querySelectorAll('p, pre, blockquote, td, li')]
+      .filter(p => getText(p).length >= 25);
+    const totalText = paragraphs.reduce((sum, p) => sum + getText(p).length, 0);
+    if (!totalText) return root;
+
+    const landmarks = [...root.querySelectorAll('article, main, [role="main"]')]
+      .map(el => ({ el, share: paragraphs.filter(p => el.contains(p)).reduce((sum, p) => sum + getText(p).length, 0) / totalText }))
+      .sort((a, b) => b.share - a.share);
+    if (landmarks.length && landmarks[0].share >= MIN_LANDMARK_SHARE) {
+      // Innermost landmark that still holds the text, so a <main> wrapping one <article> yields the article
+      const best = landmarks.filter(l => l.share >= landmarks[0].share * 0.9).pop();
+      return best.el;
+    }
+
+    // Each paragraph credits its parent fully and its grandparent by half
+    const scores = new Map();
+    for (const p of paragraphs) {
+      const text = getText(p);
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = p.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+
+    let best = root;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - getLinkDensity(el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    }
+    return best;
+  }
+
+  // Drop leftover menus and link lists inside the main content
+  function pruneLinkBlocks(root) {
+    for (const el of [...root.querySelectorAll('div, section, ul, ol, table')]) {
+      if (!root.contains(el)) continue;
+      if (getText(el).length < MIN_BLOCK_TEXT && getLinkDensity(el) > MAX_LINK_DENSITY) el.remove();
+    }
+  }
+
+  function getLinkDensity(el) {
+    const textLength = getText(el).length;
+    if (!textLength) return 0;
+    const linkLength = [...el.querySelectorAll('a')].reduce((sum, a) => sum + getText(a).length, 0);
+    return linkLength / textLength;
+  }
+
+  function getText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // textContent runs words from adjacent blocks together ("Title</h1><p>First" -> "TitleFirst"),
+  // so blocks are separated while walking the tree. Custom elements (tag names with a dash) are
+  // usually blocks too
+  function getBlockText(root) {
+    const parts = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) parts.push(node.nodeValue);
+      else if (BLOCK_ELEMENTS.has(node.tagName) || node.tagName.includes('-')) parts.push(' ');
+    }
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  function getHeadings(root) {
+    if (!root) return [];
+    return [...root.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+      .map(h => ({ level: Number(h.tagName[1]), text: getText(h).slice(0, 120) }))
+      .filter(h => h.text)
+      .slice(0, MAX_HEADINGS);
+  }
+})();
@@ -0,0 +1,95 @@
+/**
+ * AI Tab Navigator - Language Support
+ *
+ * Keyword search and summarization understand English, Spanish, French, German and Portuguese.
+ * A tab's language comes from its <html lang> attribute when that names a supported language,
+ * otherwise from counting common function words in the page text. Queries are detected the
+ * same way so their stop words can be dropped.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de', 'pt'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', fr: 'French', de: 'German', pt: 'Portuguese' };
+
+const STOP_WORDS = {
+  en: new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'from', 'with', 'by',
+    'about', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these',
+    'those', 'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'their', 'he', 'she', 'his', 'her',
+    'not', 'no', 'do', 'does', 'did', 'have', 'has', 'had', 'will', 'would', 'can', 'could', 'what',
+    'which', 'who', 'how', 'when', 'where', 'there', 'here', 'some', 'any', 'all', 'more', 'into'
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'de', 'del', 'al', 'a',
+    'en', 'con', 'por', 'para', 'sin', 'sobre', 'es', 'son', 'era', 'ser', 'estar', 'está', 'están',
+    'que', 'qué', 'como', 'cómo', 'cuando', 'donde', 'dónde', 'este', 'esta', 'estos', 'estas', 'ese',
+    'esa', 'eso', 'mi', 'mis', 'tu', 'tus', 'su', 'sus', 'yo', 'me', 'nos', 'se', 'lo', 'le', 'les',
+    'no', 'más', 'muy', 'ya', 'también', 'hay', 'busco', 'buscar', 'encontrar', 'pestaña', 'pestañas'
+  ]),
+  fr: new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'à', 'au', 'aux', 'en',
+    'dans', 'sur', 'avec', 'pour', 'par', 'sans', 'sous', 'est', 'sont', 'était', 'être', 'avoir',
+    'que', 'qui', 'quoi', 'comment', 'quand', 'où', 'ce', 'cet', 'cette', 'ces', 'mon', 'ma', 'mes',
+    'ton', 'ta', 'tes', 'son', 'sa', 'ses', 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles',
+    'ne', 'pas', 'plus', 'très', 'aussi', 'cherche', 'chercher', 'trouver', 'onglet', 'onglets'
+  ]),
+  de: new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines', 'und',
+    'oder', 'aber', 'zu', 'zum', 'zur', 'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach',
+    'von', 'vom', 'für', 'über', 'ohne', 'ist', 'sind', 'war', 'waren', 'sein', 'haben', 'hat', 'wird',
+    'dass', 'was', 'wer', 'wie', 'wann', 'wo', 'dies', 'diese', 'dieser', 'dieses', 'mein', 'meine',
+    'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'nicht', 'kein', 'auch', 'sehr', 'suche', 'finden', 'tab'
+  ]),
+  pt: new Set([
+    'o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'mas', 'de', 'do', 'da', 'dos', 'das',
+    'em', 'no', 'na', 'nos', 'nas', 'com', 'por', 'para', 'sem', 'sobre', 'é', 'são', 'era', 'ser',
+    'estar', 'está', 'que', 'como', 'quando', 'onde', 'este', 'esta', 'isto', 'esse', 'essa', 'isso',
+    'meu', 'minha', 'meus', 'minhas', 'seu', 'sua', 'eu', 'você', 'ele', 'ela', 'nós', 'se', 'não',
+    'mais', 'muito', 'também', 'procuro', 'procurar', 'encontrar', 'aba', 'abas'
+  ])
+};
+
+// Letters that only (or mostly) show up in one of the supported languages
+const LANGUAGE_HINT_CHARACTERS = {
+  es: /[ñ¿¡]/,
+  fr: /[èêëîœù]/,
+  de: /[äöüß]/,
+  pt: /[ãõ]/
+};
+
+// 'pt-BR' -> 'pt'; null when the language is not supported
+function normalizeLanguageCode(code) {
+  const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+// Guess the language of a piece of text from its function words; English when unsure
+function detectTextLanguage(text) {
+  const words = String(text || '').toLowerCase().split(/[^\p{L}]+/u).filter(Boolean).slice(0, 2000);
+  if (!words.length) return DEFAULT_LANGUAGE;
+
+  const scores = {};
+  for (const language of SUPPORTED_LANGUAGES) {
+    scores[language] = words.reduce((count, word) => count + (STOP_WORDS[language].has(word) ? 1 : 0), 0);
+  }
+  const sample = words.join(' ');
+  for (const [language, pattern] of Object.entries(LANGUAGE_HINT_CHARACTERS)) {
+    if (pattern.test(sample)) scores[language] += 1;
+  }
+
+  let best = DEFAULT_LANGUAGE;
+  for (const language of SUPPORTED_LANGUAGES) {
+    if (scores[language] > scores[best]) best = language;
+  }
+  return best;
+}
+
+// A tab's declared <html lang> wins when it is supported; otherwise look at the text
+function detectLanguage(text, declaredLanguage) {
+  return normalizeLanguageCode(declaredLanguage) || detectTextLanguage(text);
+}
+
+function isStopWord(word, language) {
+  return (STOP_WORDS[language] || STOP_WORDS[DEFAULT_LANGUAGE]).has(word);
+}
@@ -0,0 +1,20 @@
+// Offscreen document that summarizes batches of extracted tabs for the service worker, and reads
+// PDF files with pdf.js, which cannot run in the worker
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+  
+  if (request.action === 'summarizeBatch') {
+    summarizeBatch(request.extracted)
+      .then(results => sendResponse({ ok: true, results }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+  
+  if (request.action === 'extractPdfText') {
+    extractPdfText(request.url)
+      .then(pdf => sendResponse({ ok: true, pdf }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * AI Tab Navigator - PDF Text
+ *
+ * Chrome's PDF viewer cannot be scripted, so PDF tabs are read from the file itself with the
+ * bundled pdf.js (lib/pdfjs, the legacy build, with the predefined CMaps that CJK text needs).
+ * pdf.js is an ES module and needs a document for its worker, so it runs in the popup and the
+ * offscreen document; the service worker sends its PDFs to the offscreen document.
+ * Password-protected files are rejected, and scanned pages (images only) have no text.
+ *
+ * extractPdfText(url) returns { pages: [{ page, text }], metadata: { kind: 'pdf', pageCount, author?, publishedAt? } },
+ * pages numbered from 1 and left out when they have no text.
+ */
+
+const PDF_MAX_BYTES = 25 * 1024 * 1024;
+const PDF_MAX_PAGES = 500;
+const PDF_FETCH_TIMEOUT_MS = 20000;
+
+const PDFJS_PATH = 'lib/pdfjs/';
+
+let pdfjsPromise = null;
+
+// Chrome shows these in its PDF viewer. PDFs served from URLs without the extension are
+// recognized by the content script instead (document.contentType)
+function isPdfUrl(url) {
+  try {
+    const u = new URL(url || '');
+    if (!['http:', 'https:', 'file:'].includes(u.protocol)) return false;
+    return /\.pdf$/i.test(u.pathname) || (u.hostname === 'arxiv.org' && u.pathname.startsWith('/pdf/'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Tabs we can get text from: scriptable pages, plus PDFs (local ones when file access is allowed)
+function isReadableUrl(url) {
+  return isScriptableUrl(url) || isPdfUrl(url);
+}
+
+// Page text with "[Page N]" markers, so matches and summaries can point to a page
+function formatPdfText(pages) {
+  return pages.map(p => `[Page ${p.page}] ${p.text}`).join('\n');
+}
+
+async function extractPdfText(url) {
+  return parsePdfDocument(await loadPdfBytes(url));
+}
+
+async function loadPdfBytes(url) {
+  let bytes;
+  if (url.startsWith('file:')) {
+    // fetch() does not support file:// URLs; XHR does, in extension pages with file access
+    bytes = await new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest();
+      request.open('GET', url);
+      request.responseType = 'arraybuffer';
+      request.timeout = PDF_FETCH_TIMEOUT_MS;
+      request.onload = () => request.response ? resolve(new Uint8Array(request.response)) : reject(new Error('Empty file'));
+      request.onerror = request.ontimeout = () => reject(new Error('Could not read the file (is file access allowed?)'));
+      request.send();
+    });
+  } else {
+    const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(PDF_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (Number(response.headers.get('content-length')) > PDF_MAX_BYTES) throw new Error('PDF too large');
+    bytes = new Uint8Array(await response.arrayBuffer());
+  }
+  if (bytes.length > PDF_MAX_BYTES) throw new Error('PDF too large');
+  return bytes;
+}
+
+// Imported on first use, so pages that never read a PDF don't load it
+function loadPdfJs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import(chrome.runtime.getURL(`${PDFJS_PATH}pdf.min.mjs`))
+      .then(pdfjs => {
+        pdfjs.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(`${PDFJS_PATH}pdf.worker.min.mjs`);
+        return pdfjs;
+      })
+      .catch(e => {
+        pdfjsPromise = null;
+        throw e;
+      });
+  }
+  return pdfjsPromise;
+}
+
+async function parsePdfDocument(bytes) {
+  const pdfjs = await loadPdfJs();
+  const loadingTask = pdfjs.getDocument({
+    data: bytes,
+    cMapUrl: chrome.runtime.getURL(`${PDFJS_PATH}cmaps/`),
+    cMapPacked: true,
+    isEvalSupported: false,
+    useWasm: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  });
+
+  try {
+    const doc = await loadingTask.promise;
+    const pageCount = Math.min(doc.numPages, PDF_MAX_PAGES);
+    const pages = [];
+    for (let i = 1; i <= pageCount; i++) {
+      try {
+        const page = await doc.getPage(i);
+        const content = await page.getTextContent();
+        const text = cleanPdfText(content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join(''));
+        if (text) pages.push({ page: i, text });
+        page.cleanup();
+      } catch (e) {
+        console.debug('[PDF] Could not read page', i, e);
+      }
+    }
+    console.debug('[PDF] Read', pages.length, 'of', doc.numPages, 'pages');
+
+    const metadata = await readPdfMetadata(pdfjs, doc);
+    metadata.pageCount = doc.numPages;
+    return { pages, metadata };
+  } finally {
+    loadingTask.destroy();
+  }
+}
+
+function cleanPdfText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000e-\u001f]/g, '')
+    .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2') // Words hyphenated across lines
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The document information dictionary, in the shape content_script.js gives page metadata
+async function readPdfMetadata(pdfjs, doc) {
+  const metadata = { kind: 'pdf' };
+  let info = null;
+  try {
+    ({ info } = await doc.getMetadata());
+  } catch (e) {
+    console.debug('[PDF] No document info:', e);
+  }
+  if (!info) return metadata;
+
+  const author = String(info.Author || '').replace(/\0/g, '').trim();
+  if (author) metadata.author = author;
+  const created = pdfjs.PDFDateString.toDateObject(info.CreationDate);
+  if (created && !isNaN(created.getTime())) metadata.publishedAt = created.toISOString();
+  return metadata;
+}
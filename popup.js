@@ -18,6 +18,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const status = document.getElementById('status');
   const searchStatus = document.getElementById('searchStatus');
   const backgroundStatus = document.getElementById('backgroundStatus');
+  const summaryPauseButton = document.getElementById('summaryPauseButton');
   const resultsUl = document.getElementById('results');
   const template = document.getElementById('li_template');
   const historyContainer = document.getElementById('historyContainer');
@@ -26,6 +27,16 @@ document.addEventListener('DOMContentLoaded', () => {
   const showMoreButton = document.getElementById('showMoreButton');
   const aggressiveSearchToggle = document.getElementById('aggressiveSearchToggle');
   const aiOnlyToggle = document.getElementById('aiOnlyToggle');
+  const fuzzyToleranceSelect = document.getElementById('fuzzyToleranceSelect');
+  const customSynonymsInput = document.getElementById('customSynonymsInput');
+  const aiQueryRewriteToggle = document.getElementById('aiQueryRewriteToggle');
+  const keywordRankingSelect = document.getElementById('keywordRankingSelect');
+  const rankingBlendSelect = document.getElementById('rankingBlendSelect');
+  const queryRewrite = document.getElementById('queryRewrite');
+  const queryRewriteText = document.getElementById('queryRewriteText');
+  const editQueryRewriteButton = document.getElementById('editQueryRewriteButton');
+  const searchSettings = document.getElementById('searchSettings');
+  const storageStats = document.getElementById('storageStats');
 
   // Onboarding elements
   const onboardingOverlay = document.getElementById('onboardingOverlay');
@@ -41,6 +52,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const sessionCache = new Map(); // key -> {type, session, controller}
   const sessionCreatePromises = new Map(); // key -> Promise
 
+  // Summaries already marked as used in IndexedDB by this popup (see getExistingSummaries)
+  const touchedSummaryKeys = new Set();
+
   // History state (removed offset since we show all chips)
   let historyItems = [];
   
@@ -52,9 +66,6 @@ document.addEventListener('DOMContentLoaded', () => {
   let currentResultsPage = 1;
   let allSearchResults = [];
   
-  // Background summarization state
-  let isBackgroundSummarizing = false;
-  
   // Scroll position tracking
   let savedScrollPosition = 0;
   
@@ -64,6 +75,32 @@ document.addEventListener('DOMContentLoaded', () => {
   // Search mode toggles state (mutually exclusive)
   let aggressiveSearchEnabled = false;
   let aiOnlyEnabled = false;
+  
+  // Typo tolerance for keyword search ('off' | 'low' | 'high')
+  let fuzzyTolerance = DEFAULT_FUZZY_TOLERANCE;
+  
+  // Built-in synonyms plus the user's own mappings from search settings
+  let synonymMap = buildSynonymMap(BUILTIN_SYNONYM_GROUPS);
+  
+  // How the fast (non-AI) results are ranked: 'bm25' keyword match or 'vector' similarity
+  let keywordRanking = 'bm25';
+  
+  // How much AI and keyword rankings each count when fused (see rank_fusion.js)
+  let rankingBlend = DEFAULT_FUSION_PRESET;
+  
+  // The on-device model only sees the tabs most similar to the query when there are more than this
+  const AI_CANDIDATE_LIMIT = 30;
+  
+  // Aggressive search reuses page text extracted this recently instead of reading the tab again
+  const FULL_TEXT_MAX_AGE_MS = 10 * 60 * 1000;
+  
+  // Tabs aggressive search reads and scores at once; more only queues behind the same renderer processes
+  const AGGRESSIVE_SEARCH_CONCURRENCY = 4;
+  
+  // AI rewrite of natural-language queries into keyword syntax for the keyword scorer
+  let aiQueryRewriteEnabled = true;
+  const queryRewriteCache = new Map(); // query -> rewritten query (or null)
+  let lastRewrittenQuery = null; // set when the user edits a rewrite, so it is not rewritten again
 
   searchButton.addEventListener('click', () => handleSearch({ groupAfter: false }));
   groupButton.addEventListener('click', handleGroupTabs);
@@ -114,6 +151,82 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  // Typo tolerance setting
+  fuzzyToleranceSelect.addEventListener('change', async (e) => {
+    fuzzyTolerance = e.target.value;
+    await chrome.storage.local.set({ fuzzyTolerance });
+  });
+  
+  chrome.storage.local.get('fuzzyTolerance').then(({ fuzzyTolerance: savedTolerance }) => {
+    if (savedTolerance && FUZZY_TOLERANCE_LEVELS[savedTolerance]) {
+      fuzzyTolerance = savedTolerance;
+    }
+    fuzzyToleranceSelect.value = fuzzyTolerance;
+  });
+  
+  // Custom synonyms setting
+  customSynonymsInput.addEventListener('change', async (e) => {
+    const groups = parseSynonymText(e.target.value);
+    synonymMap = buildSynonymMap([...BUILTIN_SYNONYM_GROUPS, ...groups]);
+    await chrome.storage.local.set({ [SYNONYM_STORAGE_KEY]: e.target.value });
+    console.log('[Synonyms] Saved', groups.length, 'custom synonym groups');
+  });
+  
+  // Fast result ranking setting
+  keywordRankingSelect.addEventListener('change', async (e) => {
+    keywordRanking = e.target.value;
+    await chrome.storage.local.set({ keywordRanking });
+  });
+  
+  chrome.storage.local.get('keywordRanking').then(({ keywordRanking: savedRanking }) => {
+    if (savedRanking === 'bm25' || savedRanking === 'vector') keywordRanking = savedRanking;
+    keywordRankingSelect.value = keywordRanking;
+  });
+  
+  // Ranking blend setting
+  rankingBlendSelect.addEventListener('change', async (e) => {
+    rankingBlend = e.target.value;
+    await chrome.storage.local.set({ rankingBlend });
+  });
+  
+  chrome.storage.local.get('rankingBlend').then(({ rankingBlend: savedBlend }) => {
+    if (FUSION_WEIGHT_PRESETS[savedBlend]) rankingBlend = savedBlend;
+    rankingBlendSelect.value = rankingBlend;
+  });
+  
+  // AI query rewriting setting
+  aiQueryRewriteToggle.addEventListener('change', async (e) => {
+    aiQueryRewriteEnabled = e.target.checked;
+    await chrome.storage.local.set({ aiQueryRewriteEnabled });
+    if (!aiQueryRewriteEnabled) hideQueryRewrite();
+  });
+  
+  chrome.storage.local.get('aiQueryRewriteEnabled').then(({ aiQueryRewriteEnabled: savedRewrite }) => {
+    aiQueryRewriteEnabled = savedRewrite !== false;
+    aiQueryRewriteToggle.checked = aiQueryRewriteEnabled;
+  });
+  
+  // Put the rewritten query in the search box so the user can adjust it
+  editQueryRewriteButton.addEventListener('click', () => {
+    const rewritten = queryRewriteText.textContent;
+    if (!rewritten) return;
+    lastRewrittenQuery = rewritten;
+    input.value = rewritten;
+    input.focus();
+    updateClearSearchButton();
+  });
+  
+  // Storage usage, refreshed each time search settings are opened
+  searchSettings.addEventListener('toggle', () => {
+    if (searchSettings.open) renderStorageStats();
+  });
+  
+  chrome.storage.local.get(SYNONYM_STORAGE_KEY).then(({ [SYNONYM_STORAGE_KEY]: savedSynonyms }) => {
+    if (!savedSynonyms) return;
+    customSynonymsInput.value = savedSynonyms;
+    synonymMap = buildSynonymMap([...BUILTIN_SYNONYM_GROUPS, ...parseSynonymText(savedSynonyms)]);
+  });
+  
   input.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       handleSearch({ groupAfter: false });
@@ -268,88 +381,53 @@ document.addEventListener('DOMContentLoaded', () => {
   // BACKGROUND SUMMARIZATION
   
 
+  // Extraction and summarization run in the service worker from a persisted queue, so they keep
+  // going after the popup closes; the popup asks for a sweep and shows progress
   async function startBackgroundSummarization() {
-    if (isBackgroundSummarizing) return;
-    
-    const { isSearching } = await chrome.storage.session.get('isSearching');
-    if (isSearching) return;
-    
     try {
-      isBackgroundSummarizing = true;
-      console.debug('[Background] Starting background summarization');
-      const tabs = await chrome.tabs.query({});
-      if (!tabs.length) {
-        console.debug('[Background] No tabs to summarize');
-        return;
-      }
-      
-      // Get existing summaries from persistent storage
-      const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
-      const now = Date.now();
-      const maxAgeMs = 24 * 60 * 60 * 1000; // 24 hours cache for persistent storage
-      
-      // Clean up summaries for tabs that no longer exist
-      const currentTabIds = new Set(tabs.map(t => t.id));
-      const cleanedSummaries = {};
-      for (const [key, summary] of Object.entries(tabSummaries)) {
-        const tabId = parseInt(key);
-        if (currentTabIds.has(tabId) && (now - summary.timestamp) < maxAgeMs) {
-          cleanedSummaries[key] = summary;
-        }
-      }
-      
-      // Save cleaned summaries
-      if (Object.keys(cleanedSummaries).length !== Object.keys(tabSummaries).length) {
-        await chrome.storage.local.set({ tabSummaries: cleanedSummaries });
-      }
-      
-      // Find tabs that need summarization
-      const toSummarize = [];
-      const alreadyProcessed = [];
-      
-      for (const t of tabs) {
-        if (!isScriptableUrl(t.url)) continue;
-        
-        const key = String(t.id);
-        const cached = cleanedSummaries[key];
-        const needsSummary = !cached || 
-                            cached.url !== t.url || 
-                            (now - cached.timestamp) >= maxAgeMs || 
-                            !cached.summary;
-        
-        if (needsSummary) {
-          toSummarize.push(t);
-        } else {
-          alreadyProcessed.push(t);
-        }
-      }
-      
-      if (!toSummarize.length) {
-        const totalProcessed = alreadyProcessed.length;
-        const totalTabs = tabs.filter(t => isScriptableUrl(t.url)).length;
-        if (await canUpdateStatus()) {
-          setBackgroundStatus(`Read ${totalProcessed} out of ${totalTabs} tabs`);
-        }
-        return;
-      }
-      
-      await summarizeTabsWithProgress(toSummarize, alreadyProcessed.length);
-      
-      const totalProcessed = alreadyProcessed.length + toSummarize.length;
-      const totalTabs = tabs.filter(t => isScriptableUrl(t.url)).length;
-      if (await canUpdateStatus()) {
-        setBackgroundStatus(`Read ${totalProcessed} out of ${totalTabs} tabs`);
-      }
-      
+      console.debug('[Background] Requesting background summarization');
+      await chrome.runtime.sendMessage({ action: 'summarizeTabs' });
     } catch (e) {
-      console.error('[Background] Summarization failed:', e);
-      if (await canUpdateStatus()) {
-        setBackgroundStatus('');
-      }
-    } finally {
-      isBackgroundSummarizing = false;
+      console.error('[Background] Could not reach the service worker:', e);
     }
   }
+  
+  async function showSummaryProgress(progress) {
+    if (!progress) return;
+    
+    // Pause/Resume only makes sense while there are tabs left to read
+    const { [SUMMARY_PAUSED_KEY]: paused = false } = await chrome.storage.local.get(SUMMARY_PAUSED_KEY);
+    summaryPauseButton.style.display = progress.state === 'idle' ? 'none' : 'inline';
+    summaryPauseButton.textContent = paused ? 'Resume' : 'Pause';
+    summaryPauseButton.title = paused ? 'Resume reading tabs in the background' : 'Pause reading tabs in the background';
+    
+    if (!(await canUpdateStatus())) return;
+    if (progress.state === 'running') {
+      setBackgroundStatus(`Reading tabs (${progress.done}/${progress.total})`);
+    } else if (progress.state === 'paused') {
+      setBackgroundStatus(`Reading paused (${progress.done}/${progress.total})`);
+    } else {
+      setBackgroundStatus(`Read ${progress.done} out of ${progress.total} tabs`);
+    }
+  }
+  
+  // The current batch finishes before the service worker pauses
+  summaryPauseButton.addEventListener('click', async () => {
+    const { [SUMMARY_PAUSED_KEY]: paused = false } = await chrome.storage.local.get(SUMMARY_PAUSED_KEY);
+    await chrome.storage.local.set({ [SUMMARY_PAUSED_KEY]: !paused });
+    console.debug('[Background] Summarization', paused ? 'resumed' : 'paused');
+  });
+  
+  chrome.storage.session.get('summaryProgress').then(({ summaryProgress }) => showSummaryProgress(summaryProgress));
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.summaryProgress) {
+      showSummaryProgress(changes.summaryProgress.newValue);
+    }
+    if (areaName === 'local' && changes[SUMMARY_PAUSED_KEY]) {
+      chrome.storage.session.get('summaryProgress').then(({ summaryProgress }) => showSummaryProgress(summaryProgress));
+    }
+  });
 
   // Onboarding and AI availability functions
   async function checkOnboardingStatus() {
@@ -441,65 +519,6 @@ document.addEventListener('DOMContentLoaded', () => {
     aiStatusNotice.classList.add('hidden');
   }
 
-  async function summarizeTabsWithProgress(tabs, alreadyProcessedCount = 0) {
-    // Use local storage for persistent caching across browser sessions
-    const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
-    const now = Date.now();
-    const totalTabs = tabs.length + alreadyProcessedCount;
-    
-    // Process in larger batches for speed (10 tabs at a time instead of 1)
-    const BATCH_SIZE = 10;
-    
-    for (let batchStart = 0; batchStart < tabs.length; batchStart += BATCH_SIZE) {
-      const batch = tabs.slice(batchStart, batchStart + BATCH_SIZE);
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, tabs.length);
-      const currentTotal = alreadyProcessedCount + batchEnd;
-      
-      if (await canUpdateStatus()) {
-        setBackgroundStatus(`Reading tabs (${currentTotal}/${totalTabs})`);
-      }
-      
-      try {
-        // Extract text from all tabs in batch (parallel)
-        const extracted = await extractTextFromTabs(batch);
-        
-        if (extracted.length) {
-          // Summarize entire batch at once (parallel)
-          const summarized = await summarizeBatch(extracted);
-          
-          for (const summary of summarized) {
-            tabSummaries[String(summary.id)] = { 
-              url: summary.url, 
-              summary: summary.summary, 
-              tags: summary.tags || [],
-              timestamp: now,
-              tabId: summary.id
-            };
-          }
-        }
-      } catch (e) {
-        // Store fallback summaries for failed batch
-        for (const tab of batch) {
-          const fallbackSummary = `${tab.title || ''} ${tab.url || ''}`.trim() || tab.url || '';
-          tabSummaries[String(tab.id)] = { 
-            url: tab.url, 
-            summary: fallbackSummary, 
-            timestamp: now,
-            tabId: tab.id
-          };
-        }
-      }
-      
-      // Save progress after each batch
-      await chrome.storage.local.set({ tabSummaries });
-    }
-    
-    // Clear the background status after completion
-    setBackgroundStatus('');
-    
-    console.debug('[Background] Completed summarization of', tabs.length, 'new tabs, total processed:', totalTabs);
-  }
-
   
   // SESSION STATE MANAGEMENT
   
@@ -561,15 +580,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   async function removeFromHistory(queryToRemove) {
     try {
-      const { searchHistoryByDate = {} } = await chrome.storage.local.get('searchHistoryByDate');
-      const todayKey = getTodayKey();
-      const arr = Array.isArray(searchHistoryByDate[todayKey]) ? searchHistoryByDate[todayKey] : [];
-      
-      // Filter out the query to remove
-      const filtered = arr.filter(item => item.query !== queryToRemove);
-      searchHistoryByDate[todayKey] = filtered;
-      
-      await chrome.storage.local.set({ searchHistoryByDate });
+      await storageDelete(HISTORY_STORE, [`${getTodayKey()} ${queryToRemove}`]);
       console.debug('[History] Removed query:', queryToRemove);
       
       // Reload and re-render
@@ -580,10 +591,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Today's searches, most recent first
+  async function getTodayHistory() {
+    const items = await storageGetAllByIndex(HISTORY_STORE, 'day', getTodayKey());
+    return items.sort((a, b) => b.at - a.at);
+  }
+
   async function loadHistory() {
-    const { searchHistoryByDate = {} } = await chrome.storage.local.get('searchHistoryByDate');
     const todayKey = getTodayKey();
-    const arr = Array.isArray(searchHistoryByDate[todayKey]) ? searchHistoryByDate[todayKey] : [];
+    let arr = [];
+    try {
+      arr = await getTodayHistory();
+    } catch (e) {
+      console.error('[History] Failed to load history:', e);
+    }
     console.debug('[History] Loaded', arr.length, 'items for', todayKey, ':', arr.map(item => item.query));
     // Keep only last 5 for view
     historyItems = arr.slice(0, 5);
@@ -653,7 +674,8 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    // Create abort controller for this search
+    // Create abort controller for this search, stopping any search still streaming results
+    activeSearchController?.abort();
     activeSearchController = new AbortController();
     const searchSignal = activeSearchController.signal;
 
@@ -664,13 +686,18 @@ document.addEventListener('DOMContentLoaded', () => {
       status.textContent = '';
       status.style.display = 'none';
       setBackgroundStatus(''); // Clear background status when starting search
+      hideQueryRewrite();
     }
     groupButton.disabled = true;
     groupButton.textContent = 'Group';
     groupButton.title = 'Group the current matches';
     
+    // Split operators (site:, -exclude, "phrases", OR, window:, ...) from the free text
+    const searchQuery = describeQuery(parseSearchQuery(query));
+    console.debug('[Search] Parsed query:', searchQuery);
+    
     // Detect search mode to show appropriate status message
-    const hashtagInfo = parseHashtagQuery(query);
+    const hashtagInfo = parseHashtagQuery(searchQuery.text);
     
     if (aggressiveSearchEnabled) {
       // For aggressive search, don't show any initial message - it will set its own
@@ -697,6 +724,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     await chrome.storage.session.set({ isSearching: { query, timestamp: Date.now() } });
+    await chrome.storage.session.remove(['keywordScores', 'aiScores', 'tabScoreBreakdown']);
 
     try {
       const tabs = await chrome.tabs.query({});
@@ -708,10 +736,17 @@ document.addEventListener('DOMContentLoaded', () => {
       // Filter out chrome:// URLs unless user explicitly searches for them
       const queryLower = query.toLowerCase();
       const searchingForChromePages = queryLower.includes('extension') || queryLower.includes('chrome://');
-      const filteredTabs = searchingForChromePages 
+      let filteredTabs = searchingForChromePages 
         ? tabs 
         : tabs.filter(tab => !tab.url || !tab.url.startsWith('chrome://'));
       
+      // Structural filters run against tab data before any scoring
+      if (searchQuery.filters.length) {
+        const filterContext = await getQueryFilterContext(filteredTabs);
+        filteredTabs = filteredTabs.filter(tab => matchesQueryFilters(searchQuery, tab, filterContext));
+        console.debug('[Search] Tabs after filters:', filteredTabs.length);
+      }
+      
       if (!filteredTabs.length) {
         setStatus('No matching tabs found.', 'error');
         return;
@@ -719,11 +754,30 @@ document.addEventListener('DOMContentLoaded', () => {
       
       if (searchSignal.aborted) return;
 
-      const summaries = await getExistingSummaries(filteredTabs);
+      // Natural-language queries are rewritten into keyword syntax for the keyword scorer;
+      // the AI scorer still sees the original text
+      let keywordQuery = searchQuery;
+      if (shouldRewriteQuery(query, searchQuery, hashtagInfo)) {
+        const rewritten = await rewriteQueryWithAI(searchQuery.text, searchSignal);
+        if (searchSignal.aborted) return;
+        const rewrittenQuery = rewritten ? describeQuery(parseSearchQuery(rewritten)) : null;
+        if (rewrittenQuery?.clauses.length) {
+          keywordQuery = rewrittenQuery;
+          showQueryRewrite(rewritten);
+        }
+      }
+
+      let summaries = await getExistingSummaries(filteredTabs);
+      
+      // Drop tabs mentioning an excluded word or phrase (a rewrite only happens for queries
+      // without operators, so its exclusions are the only ones)
+      if (keywordQuery.excludes.length) {
+        summaries = summaries.filter(s => !keywordQuery.excludes.some(ex => docContainsText(s, ex.value, ex.phrase)));
+      }
 
       if (searchSignal.aborted) return;
 
-      const selectedTabIds = await selectFromSummariesWithAIOrFallback(summaries, query, searchSignal);
+      const selectedTabIds = await selectFromSummariesWithAIOrFallback(summaries, searchQuery, searchSignal, keywordQuery);
       
       if (searchSignal.aborted) return;
 
@@ -786,38 +840,54 @@ document.addEventListener('DOMContentLoaded', () => {
       console.error('[Search] Error:', err);
       setStatus(`Error: ${err.message}`, 'error');
     } finally {
-      setBusy(false);
-      // Clear the searching state flag
-      await chrome.storage.session.remove('isSearching');
-      // Clear the active search controller
-      activeSearchController = null;
+      // A newer search aborted this one and now owns the busy state, the searching flag (which
+      // keeps the summary queue paused) and the controller. Clear only resets the controller
+      if (!activeSearchController || activeSearchController.signal === searchSignal) {
+        setBusy(false);
+        // Clear the searching state flag
+        await chrome.storage.session.remove('isSearching');
+        // Clear the active search controller
+        activeSearchController = null;
+      }
     }
   }
 
   async function getExistingSummaries(tabs) {
-    // Use persistent storage for better caching
-    const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
-    const now = Date.now();
-    const maxAgeMs = 24 * 60 * 60 * 1000; // 24 hours cache
+    // Summaries are cached per page, not per tab; see createSummaryLookup
+    const summaryCache = await loadSummariesForUrls(tabs.map(t => normalizeUrl(t.url)));
+    const {
+      [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys = {},
+      [TAB_CONTENT_KEY]: tabContent = {}
+    } = await chrome.storage.session.get([TAB_SUMMARY_KEYS_KEY, TAB_CONTENT_KEY]);
+    const findCachedSummary = createSummaryLookup(summaryCache, tabSummaryKeys);
 
     const results = [];
+    const usedKeys = new Set();
 
     for (const t of tabs) {
-      const key = String(t.id);
-      const cached = tabSummaries[key];
+      const cached = findCachedSummary(t);
       
       // Use cached summary if available and fresh
-      if (cached && cached.url === t.url && (now - cached.timestamp) < maxAgeMs && cached.summary) {
+      if (cached) {
+        usedKeys.add(cached.key);
+        // The tab was last read with different text than the summary was written from
+        const current = tabContent[t.id];
         results.push({ 
           id: t.id, 
           title: t.title || '', 
           url: t.url || '', 
           summary: cached.summary,
-          tags: cached.tags || []
+          tags: cached.tags || [],
+          language: cached.language || detectLanguage(t.title),
+          vector: cached.vector,
+          outline: cached.outline,
+          metadata: cached.metadata,
+          summarizedAt: cached.timestamp,
+          contentChanged: !!current && current.contentHash !== cached.contentHash
         });
       } else {
         // Use fallback for tabs without summaries (non-scriptable URLs or new tabs)
-        const fallbackSummary = !isScriptableUrl(t.url) 
+        const fallbackSummary = !isReadableUrl(t.url) 
           ? `${t.title || ''} ${t.url || ''}`.trim() || t.url || ''
           : `${t.title || ''} ${t.url || ''}`.trim() || 'Loading...';
         const fallbackTags = generateFallbackTags(t.title, t.url);
@@ -826,145 +896,32 @@ document.addEventListener('DOMContentLoaded', () => {
           title: t.title || '', 
           url: t.url || '', 
           summary: fallbackSummary,
-          tags: fallbackTags
+          tags: fallbackTags,
+          language: detectLanguage(t.title)
         });
       }
     }
 
-    return results;
-  }
-
-  // --- Summaries pipeline ---
-  function isScriptableUrl(url) {
-    try {
-      const u = new URL(url || '');
-      // Only allow http and https protocols
-      if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
-      
-      // Block Chrome Web Store (both old and new URLs)
-      if (u.hostname === 'chrome.google.com' && u.pathname.startsWith('/webstore')) return false;
-      if (u.hostname === 'chromewebstore.google.com') return false;
-      
-      // Block Chrome internal management pages (but allow developer.chrome.com)
-      if (u.hostname === 'chrome.google.com') return false;
-      
-      // Block extension pages
-      if (u.protocol === 'chrome-extension:') return false;
-      
-      // Block other special protocols
-      if (u.protocol.startsWith('chrome')) return false;
-      
-      return true;
-    } catch { return false; }
-  }
-
-  async function buildOrGetSummaries(tabs) {
-    const { tabSummaries = {} } = await chrome.storage.session.get('tabSummaries');
-    const now = Date.now();
-    const maxAgeMs = 5 * 60 * 1000; // 5 minutes cache
-
-    const results = [];
-    const toSummarize = [];
-
-    for (const t of tabs) {
-      if (!isScriptableUrl(t.url)) {
-        console.debug('[Extract] Skipping non-scriptable/restricted URL (tabId', t.id, '):', t.url);
-        const key = String(t.id);
-        if (tabSummaries[key]?.summary && tabSummaries[key].url === t.url && (now - tabSummaries[key].timestamp) < maxAgeMs) {
-          results.push({ id: t.id, title: t.title || '', url: t.url || '', summary: tabSummaries[key].summary });
-        } else {
-          // Use the URL and title as the summary when we cannot inject
-          const fallbackSummary = `${t.title || ''} ${t.url || ''}`.trim() || t.url || '';
-          results.push({ id: t.id, title: t.title || '', url: t.url || '', summary: fallbackSummary });
-        }
-        continue;
-      }
-      const key = String(t.id);
-      const cached = tabSummaries[key];
-      if (cached && cached.url === t.url && (now - cached.timestamp) < maxAgeMs && cached.summary) {
-        results.push({ id: t.id, title: t.title || '', url: t.url || '', summary: cached.summary });
-      } else {
-        toSummarize.push(t);
-      }
-    }
+    // Fallbacks and summaries cached before vectors existed get one on the fly
+    results.forEach(r => { if (!r.vector) r.vector = buildTabVector(r); });
 
-    if (toSummarize.length) {
-      const extracted = await extractTextFromTabs(toSummarize);
-      const summarized = await summarizeBatch(extracted);
-      for (const s of summarized) {
-        tabSummaries[String(s.id)] = { url: s.url, summary: s.summary, timestamp: now };
-        results.push(s);
-      }
-      await chrome.storage.session.set({ tabSummaries });
+    // Summaries of open tabs are the last to be evicted; once per popup is enough
+    const untouchedKeys = [...usedKeys].filter(key => !touchedSummaryKeys.has(key));
+    untouchedKeys.forEach(key => touchedSummaryKeys.add(key));
+    if (untouchedKeys.length) {
+      storageTouch(SUMMARY_STORE, untouchedKeys).catch(e => console.debug('[Storage] Touch failed:', e));
     }
 
     return results;
   }
 
-    async function extractTextFromTabs(tabs) {
-    const tasks = tabs.map(async (t) => {
-      if (!isScriptableUrl(t.url)) {
-        console.debug('[Extract] Skipping non-scriptable/restricted URL (tabId', t.id, '):', t.url);
-        return { id: t.id, title: t.title || '', url: t.url || '', text: '' };
-      }
-      
-      // Check if tab is still valid and has completed loading
-      try {
-        const tab = await chrome.tabs.get(t.id);
-        if (tab.status === 'loading') {
-          console.debug('[Extract] Tab still loading, using fallback for tabId', t.id);
-          const fallbackText = `${t.title || ''} ${t.url || ''}`.trim();
-          return { id: t.id, title: t.title || '', url: t.url || '', text: fallbackText };
-        }
-        
-        // Double-check URL hasn't changed
-        if (tab.url !== t.url) {
-          console.debug('[Extract] Tab URL changed during processing, tabId', t.id);
-          const fallbackText = `${tab.title || t.title || ''} ${tab.url || t.url || ''}`.trim();
-          return { id: t.id, title: tab.title || t.title || '', url: tab.url || t.url || '', text: fallbackText };
-        }
-      } catch (e) {
-        console.debug('[Extract] Tab no longer exists, tabId', t.id);
-        return { id: t.id, title: t.title || '', url: t.url || '', text: '' };
-      }
-      
-      try {
-        const [res] = await chrome.scripting.executeScript({
-          target: { tabId: t.id, allFrames: false },
-          func: () => {
-            try {
-              const getMeta = (name) => document.querySelector(`meta[name="${name}"]`)?.getAttribute('content')
-                || document.querySelector('meta[property="og:description"]')?.getAttribute('content') || '';
-              const title = document.title || '';
-              const desc = getMeta('description') || '';
-              const bodyText = document.body ? document.body.innerText || '' : '';
-              const text = (title + '\n' + desc + '\n' + bodyText).replace(/\s+/g, ' ').trim();
-              return text.slice(0, 4000);
-            } catch (e) { return ''; }
-          }
-        });
-        const text = (res?.result || '').trim();
-        console.debug('[Extract] Successfully extracted', text.length, 'chars from tabId', t.id);
-        return { id: t.id, title: t.title || '', url: t.url || '', text };
-      } catch (e) {
-        // This is expected for some URLs - just log and use fallback
-        console.debug('[Extract] Content extraction not available for tabId', t.id, '- using title/URL fallback');
-        const fallbackText = `${t.title || ''} ${t.url || ''}`.trim();
-        return { id: t.id, title: t.title || '', url: t.url || '', text: fallbackText };
-      }
-    });
-
-    const extracted = await Promise.all(tasks);
-    console.debug('[Extract] Completed', extracted.length, 'tabs');
-    return extracted;
-  }
-
-  // Extract full page text for aggressive keyword search
+  // Extract full page text for aggressive keyword search. PDF tabs also return their pages
+  // ([{ page, text }]), so matches can name the page they are on
   async function extractFullPageText(tabs) {
     console.log('[AggressiveSearch] Extracting full page text from', tabs.length, 'tabs');
     
     const results = await Promise.all(tabs.map(async (tab) => {
-      if (!isScriptableUrl(tab.url)) {
+      if (!isReadableUrl(tab.url)) {
         console.debug('[AggressiveSearch] Skipping non-scriptable URL:', tab.url);
         return {
           id: tab.id,
@@ -974,32 +931,75 @@ document.addEventListener('DOMContentLoaded', () => {
         };
       }
       
+      const textKey = normalizeUrl(tab.url);
       try {
-        // First, try to inject the content script if not already present
-        try {
-          await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            files: ['content_script.js']
+        const stored = await storageGet(FULL_TEXT_STORE, textKey);
+        if (stored && Date.now() - stored.timestamp < FULL_TEXT_MAX_AGE_MS) {
+          console.debug('[AggressiveSearch] Reusing stored text for tab', tab.id);
+          return {
+            id: tab.id,
+            title: tab.title || '',
+            url: tab.url || '',
+            fullText: stored.text,
+            pages: stored.pages,
+            language: stored.language
+          };
+        }
+      } catch (e) {
+        console.debug('[AggressiveSearch] Stored text unavailable:', e);
+      }
+      
+      try {
+        let response = null;
+        if (!isPdfUrl(tab.url)) {
+          // First, try to inject the content script if not already present
+          try {
+            await chrome.scripting.executeScript({
+              target: { tabId: tab.id },
+              files: ['content_script.js']
+            });
+            console.debug('[AggressiveSearch] Injected content script into tab', tab.id);
+          } catch (injectError) {
+            // Script might already be injected, which is fine
+            console.debug('[AggressiveSearch] Script already injected or injection failed for tab', tab.id);
+          }
+          
+          // Now send message to content script to extract page text
+          response = await chrome.tabs.sendMessage(tab.id, {
+            action: 'extractPageText',
+            tabId: tab.id
           });
-          console.debug('[AggressiveSearch] Injected content script into tab', tab.id);
-        } catch (injectError) {
-          // Script might already be injected, which is fine
-          console.debug('[AggressiveSearch] Script already injected or injection failed for tab', tab.id);
         }
         
-        // Now send message to content script to extract page text
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          action: 'extractPageText',
-          tabId: tab.id
-        });
+        // PDFs are read from the file (see pdf_text.js), including ones without a .pdf URL
+        if (isPdfUrl(tab.url) || response?.pdf) {
+          const { pages } = await extractPdfText(tab.url);
+          const text = formatPdfText(pages);
+          console.debug('[AggressiveSearch] Extracted', pages.length, 'PDF pages from tab', tab.id);
+          const language = detectLanguage(text);
+          storagePut(FULL_TEXT_STORE, { key: textKey, text, pages, language, timestamp: Date.now() })
+            .catch(e => console.debug('[AggressiveSearch] Failed to store text:', e));
+          return {
+            id: tab.id,
+            title: tab.title || '',
+            url: tab.url || '',
+            fullText: text,
+            pages,
+            language
+          };
+        }
         
         if (response && response.success) {
           console.debug('[AggressiveSearch] Extracted', response.text.length, 'chars from tab', tab.id);
+          const language = detectLanguage(response.text, response.lang);
+          storagePut(FULL_TEXT_STORE, { key: textKey, text: response.text, language, timestamp: Date.now() })
+            .catch(e => console.debug('[AggressiveSearch] Failed to store text:', e));
           return {
             id: tab.id,
             title: tab.title || '',
             url: tab.url || '',
-            fullText: response.text
+            fullText: response.text,
+            language
           };
         } else {
           throw new Error(response?.error || 'Failed to extract text');
@@ -1020,182 +1020,18 @@ document.addEventListener('DOMContentLoaded', () => {
     return results;
   }
 
-  async function summarizeBatch(extracted) {
-   //const systemPrompt = 'You summarize web page text into one concise sentence and provide 3 relevant category tags. Always respond in valid JSON format: {"summary": "one sentence summary", "tags": ["tag1", "tag2", "tag3"]}. Escape any quotes in the summary text properly.';
-   const systemPrompt = `You are an **EXTREMELY CRITICAL and PRECISE** tab relevance scorer. Your sole purpose is to identify tabs that are **DIRECTLY AND PRIMARILY** about the user's query, assigning a relevance score from 1 (completely irrelevant) to 10 (perfect, unequivocal match).
-
-      **Scoring Guidelines (READ AND ADHERE STRICTLY):**
-      - **10 (Perfect, Primary Focus):** The tab's main topic and content are an **EXACT, undeniable, and central match** to the user's query. This tab is precisely what the user is looking for. No ambiguity.
-      - **8-9 (Strong, Direct Relevance):** The tab is **unquestionably focused** on the user's query. It's not a perfect keyword match, but the content's primary subject is clearly the query. **Only use 8-9 if the tab's core purpose IS the query.**
-      - **5-7 (Moderate, Supporting Relevance):** The tab is **tangentially or secondarily related** to the query. It might contain information *about* the query, but the query is not its main subject. This could be a broader category, a related sub-topic, or a tool that *uses* the query topic. **These scores should be rare.**
-      - **1-4 (Low or No Relevance):** The tab has a weak, incidental, or abstract connection to the query. **THESE SCORES MUST NEVER BE INCLUDED IN THE FINAL JSON OUTPUT.**
-
-      **ABSOLUTE CRITICAL RULES (VIOLATING THESE IS A FAILURE):**
-      1.  **SEVERE STRICTNESS:** It is **ALWAYS better to assign a score below 5 (and thus exclude) or a score of 1** than to falsely assign a high score (8-10) to a tab that isn't a direct and primary match. Over-inclusion is a critical error.
-      2.  **NEW RULE - PRIMARY TOPIC vs. MERE MENTION:** You MUST distinguish between a tab *about* the query (e.g., a "JavaScript tutorial" for query "JavaScript") and a tab that *mentions* the query (e.g., a "web design" article that mentions "JavaScript"). A mere mention, even if in the title, **CANNOT** receive a score higher than 5. A score of 8-10 is **RESERVED** for tabs whose **PRIMARY TOPIC** is the query.
-      3.  **NO "SOUNDS LIKE" OR "RELATED TO":** Do not score highly based on tabs that are just in the same general category. The connection must be direct and central.
-      4.  **OUTPUT JSON:** You MUST respond with a valid JSON object: \`{"results": [{"tabId": number, "relevanceScore": number}]}\`.
-      5.  **STRICT FILTERING:** **ONLY** include tabs with a \`relevanceScore\` of 5 or higher in your JSON. **NEVER** include tabs with scores 1-4.
-      6.  **SORTING:** Sort the results in descending order by \`relevanceScore\`.
-      7.  **PENALTY FOR DOUBT:** If you are in ANY doubt, assign a score of 1-4. High scores must be absolutely certain.
-      `;
-    console.log('[AI-LOG] Summarization System Prompt:', systemPrompt);
-    
-    const session = await getOnDeviceSession('summarize', systemPrompt);
-
-    // Process all tabs in parallel for maximum speed
-    const summaryPromises = extracted.map(async (item) => {
-      let summary = '';
-      let tags = [];
-      
-      if (session && item.text) {
-        const prompt = `Analyze this page and provide a summary and 30 tags in valid JSON format.
-Title: ${item.title}
-URL: ${item.url}
-Text: ${item.text}
-
-Extract 30 tags/keywords covering:
-- Broad categories (e.g., "technology", "education", "entertainment")
-- Medium categories (e.g., "web-development", "machine-learning", "productivity")
-- Specific/niche tags (e.g., "react-hooks", "python-django", "css-flexbox")
-- Topics mentioned (e.g., "tutorial", "documentation", "news", "blog")
-- Technologies/tools (e.g., "javascript", "vscode", "github")
-
-Respond with valid JSON only (escape any quotes with \\): {"summary": "one sentence describing what this page is about", "tags": ["tag1", "tag2", ..., "tag30"]}`;
-        console.log('[AI-LOG] Summarization Input for tab', item.id + ':', {
-          title: item.title,
-          url: item.url,
-          textLength: item.text?.length || 0,
-          textPreview: item.text?.substring(0, 200) + (item.text?.length > 200 ? '...' : ''),
-          fullPrompt: prompt.substring(0, 300) + '...'
-        });
-        
-        try {
-          const raw = await applyOnDevicePrompt(session, prompt);
-          console.log('[AI-LOG] Summarization Output for tab', item.id + ':', raw);
-          console.debug('[AI] Summary raw:', raw);
-          
-          // Try to parse JSON response
-          let parsed = null;
-          parsed = safeJsonParse(raw || '{}');
-          
-          if (!parsed) {
-            console.warn('[AI-LOG] Failed to parse JSON response, treating as plain text');
-            // Fallback: treat as plain text summary
-            const rawSummary = (raw || '').trim();
-            const maxLength = 500;
-            summary = rawSummary.length > maxLength ? rawSummary.slice(0, maxLength) + '...' : rawSummary;
-          }
-          
-          if (parsed && parsed.summary) {
-            const maxLength = 500;
-            summary = parsed.summary.length > maxLength ? parsed.summary.slice(0, maxLength) + '...' : parsed.summary;
-            tags = Array.isArray(parsed.tags) ? parsed.tags.slice(0, 3) : [];
-            console.log('[AI-LOG] Parsed summary and tags for tab', item.id + ':', { summary, tags });
-          }
-          
-        } catch (e) { 
-          console.warn('[Summarize] AI failed for tabId', item.id, e); 
-          console.log('[AI-LOG] Summarization Error for tab', item.id + ':', e.message);
-        }
-      } else {
-        console.log('[AI-LOG] Skipping AI summarization for tab', item.id + ':', {
-          reason: !session ? 'No AI session' : 'No text content',
-          hasSession: !!session,
-          hasText: !!item.text,
-          textLength: item.text?.length || 0
-        });
-      }
-      
-      if (!summary) {
-        // If we couldn't read text, prefer URL-only summary; else use snippet or title
-        const fallbackMaxLength = 500; // Increased from 240 to 500 characters
-        const fallbackText = item.text || item.title || item.url || '';
-        
-        if (fallbackText.length > fallbackMaxLength) {
-          summary = fallbackText.slice(0, fallbackMaxLength) + '...';
-          console.log('[AI-LOG] Fallback summary truncated for tab', item.id + '- original length:', fallbackText.length, 'truncated to:', fallbackMaxLength);
-        } else {
-          summary = fallbackText;
-        }
-        
-        // Generate simple tags from title and URL for fallback
-        const fallbackTags = generateFallbackTags(item.title, item.url);
-        tags = fallbackTags;
-        
-        console.log('[AI-LOG] Using fallback summary and tags for tab', item.id + ':', { summary, tags });
-      }
-      
-      return { id: item.id, title: item.title, url: item.url, summary, tags };
-    });
-    
-    const results = await Promise.all(summaryPromises);
-    console.debug('[Summarize] Completed', results.length, 'summaries');
-    return results;
-  }
-
-  function generateFallbackTags(title, url) {
-    const tags = [];
-    
-    try {
-      // Extract domain-based tags
-      const urlObj = new URL(url || '');
-      const domain = urlObj.hostname.replace('www.', '').toLowerCase();
-      
-      // Common domain patterns
-      if (domain.includes('github')) tags.push('development');
-      else if (domain.includes('stackoverflow') || domain.includes('stackexchange')) tags.push('programming');
-      else if (domain.includes('youtube') || domain.includes('vimeo')) tags.push('video');
-      else if (domain.includes('linkedin') || domain.includes('twitter') || domain.includes('facebook')) tags.push('social');
-      else if (domain.includes('amazon') || domain.includes('ebay') || domain.includes('shop')) tags.push('shopping');
-      else if (domain.includes('gmail') || domain.includes('outlook') || domain.includes('mail')) tags.push('email');
-      else if (domain.includes('docs.google') || domain.includes('office.com')) tags.push('documents');
-      else if (domain.includes('calendar')) tags.push('calendar');
-      else if (domain.includes('drive.google') || domain.includes('dropbox') || domain.includes('onedrive')) tags.push('storage');
-      else if (domain.includes('news') || domain.includes('cnn') || domain.includes('bbc')) tags.push('news');
-      else {
-        // Use domain name as a tag
-        const domainParts = domain.split('.');
-        if (domainParts.length > 1) {
-          tags.push(domainParts[0]);
-        }
-      }
-      
-      // Extract path-based tags
-      const path = urlObj.pathname.toLowerCase();
-      if (path.includes('insurance')) tags.push('insurance');
-      if (path.includes('finance') || path.includes('bank')) tags.push('finance');
-      if (path.includes('health') || path.includes('medical')) tags.push('health');
-      if (path.includes('education') || path.includes('course')) tags.push('education');
-      if (path.includes('job') || path.includes('career')) tags.push('jobs');
-      
-    } catch (e) {
-      // URL parsing failed, skip URL-based tags
-    }
-    
-    // Extract title-based tags
-    if (title) {
-      const titleLower = title.toLowerCase();
-      if (titleLower.includes('insurance')) tags.push('insurance');
-      if (titleLower.includes('finance') || titleLower.includes('bank')) tags.push('finance');
-      if (titleLower.includes('health') || titleLower.includes('medical')) tags.push('health');
-      if (titleLower.includes('education') || titleLower.includes('course')) tags.push('education');
-      if (titleLower.includes('job') || titleLower.includes('career')) tags.push('jobs');
-      if (titleLower.includes('news')) tags.push('news');
-      if (titleLower.includes('shop') || titleLower.includes('buy')) tags.push('shopping');
-      if (titleLower.includes('video') || titleLower.includes('watch')) tags.push('video');
-      if (titleLower.includes('doc') || titleLower.includes('edit')) tags.push('documents');
-    }
-    
-    // Remove duplicates and limit to 3
-    const uniqueTags = [...new Set(tags)];
-    return uniqueTags.slice(0, 3);
-  }
-
-  async function selectFromSummariesWithAIOrFallback(summaries, query, signal) {
+  async function selectFromSummariesWithAIOrFallback(summaries, searchQuery, signal, keywordQuery = searchQuery) {
+    // Only the free-text part of the query is scored; operators were applied before this point.
+    // keywordQuery is the AI rewrite of the query (if any), used by the keyword scorers.
+    const query = searchQuery.text;
     console.debug('[Search] Starting selection for query:', query, 'from', summaries.length, 'summaries');
     console.log('[AggressiveSearch] Current state:', aggressiveSearchEnabled);
     
+    // Operators only (e.g. "site:github.com pinned:true") - every remaining tab matches
+    if (!searchQuery.clauses.length) {
+      return performFilterOnlySearch(summaries, searchQuery);
+    }
+    
     // Check for hashtag search (takes priority over everything)
     const hashtagQuery = parseHashtagQuery(query);
     if (hashtagQuery.isHashtagSearch) {
@@ -1212,179 +1048,170 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     
     // Check if aggressive search is enabled
     if (aggressiveSearchEnabled) {
-      console.log('[AggressiveSearch] Aggressive mode enabled - using sequential tab-by-tab search with progressive results');
+      console.log('[AggressiveSearch] Aggressive mode enabled - searching tabs in parallel with streamed results');
       
       // Extract meaningful keywords from the query
-      const keywords = extractKeywords(query);
-      const q = query.toLowerCase();
-      const words = keywords; // Use extracted keywords instead of all words
-      const minScore = Math.max(words.length * 2, 4);
+      const words = getKeywordClauses(keywordQuery);
       
-      console.log('[AggressiveSearch] Using keywords:', keywords);
+      console.log('[AggressiveSearch] Using keywords:', words);
       
       const results = [];
       const reasonsMap = {};
       const scoresMap = {};
       const tabs = await chrome.tabs.query({});
       
-      console.log('[AggressiveSearch] Starting sequential search through', tabs.length, 'tabs');
+      // Work on a copy of the index so extracted page text is not persisted. Page text the
+      // service worker has indexed is merged in, for tabs still showing the page it came from
+      const aggressiveIndex = cloneSearchIndex(await getSearchIndex(summaries));
+      const contentIndex = await loadContentIndex();
+      const urlByTabId = new Map(tabs.map(t => [String(t.id), normalizeUrl(t.url)]));
+      Object.entries(contentIndex.docs)
+        .filter(([id, doc]) => urlByTabId.get(id) !== doc.url)
+        .forEach(([id]) => indexRemoveDocument(contentIndex, id));
+      indexMergeFields(aggressiveIndex, contentIndex);
+      const quickFields = ['title', 'tags', 'url'];
+      const contentFields = ['title', 'tags', 'url', 'content'];
+      
+      // Streamed results cannot be compared against a final best score, so only coverage is required
+      const isMatch = (match) => filterSearchResults([match], words.length, { minRelativeScore: 0 }).length > 0;
+      
+      let searched = 0;
+      const progressText = () => `Aggressive search: ${searched}/${tabs.length} tabs | Found ${results.length} matches`;
+      
+      const saveResults = async () => {
+        const resultSources = {};
+        results.forEach(id => { resultSources[id] = 'keyword'; });
+        await chrome.storage.session.set({
+          tabSelectionReasons: reasonsMap,
+          tabSelectionScores: scoresMap,
+          tabResultSources: resultSources
+        });
+      };
       
-      // Update status to show aggressive search is running
-      setStatus(`Aggressive search: 0/${tabs.length} tabs searched...`, '');
+      // One save and render at a time; matches found while one is running go out with the next
+      let rendering = false;
+      let renderAgain = false;
+      let renderPromise = Promise.resolve();
+      const renderResults = () => {
+        if (rendering) {
+          renderAgain = true;
+          return renderPromise;
+        }
+        rendering = true;
+        renderPromise = (async () => {
+          try {
+            do {
+              renderAgain = false;
+              if (signal?.aborted) return;
+              await saveResults();
+              const allTabs = await chrome.tabs.query({});
+              if (signal?.aborted) return;
+              renderResultsList(allTabs, results, true);
+              setStatus(progressText(), 'success');
+            } while (renderAgain);
+          } catch (e) {
+            console.warn('[AggressiveSearch] Failed to render results:', e);
+          } finally {
+            rendering = false;
+          }
+        })();
+        return renderPromise;
+      };
+      
+      // Tabs finish in any order, so each match is placed by score as it arrives
+      const addResult = (match, pages) => {
+        if (signal?.aborted) return;
+        reasonsMap[match.id] = formatMatchReason(match, pages);
+        scoresMap[match.id] = roundScore(match.score);
+        const position = results.findIndex(id => scoresMap[id] < scoresMap[match.id]);
+        results.splice(position === -1 ? results.length : position, 0, match.id);
+        renderResults();
+      };
       
-      // Search tab by tab sequentially
-      for (let i = 0; i < tabs.length; i++) {
-        const tab = tabs[i];
+      const searchTab = async (tab) => {
         const summary = summaries.find(s => s.id === tab.id);
-        if (!summary) continue;
-        
-        // Check if aborted
-        if (signal?.aborted) {
-          setStatus(`Search aborted. Found ${results.length} tabs (searched ${i + 1}/${tabs.length})`, 'success');
-          break;
-        }
+        if (!summary) return;
         
         // Quick check: title, URL, tags first (no text extraction needed)
-        const title = (summary.title || '').toLowerCase();
-        const tags = (summary.tags || []).map(tag => tag.toLowerCase()).join(' ');
-        let urlParts = '';
-        try {
-          const url = new URL(summary.url || '');
-          urlParts = `${url.hostname.replace('www.', '')} ${url.pathname.replace(/[\/\-_]/g, ' ')}`.toLowerCase();
-        } catch {
-          urlParts = (summary.url || '').toLowerCase();
+        const [quickMatch] = indexSearch(aggressiveIndex, words, { fields: quickFields, docIds: [tab.id], fuzzy: fuzzyTolerance });
+        const quickHasPhrases = keywordQuery.phrases.every(phrase => docContainsText(summary, phrase, true));
+        if (quickMatch && quickHasPhrases && isMatch(quickMatch)) {
+          addResult(quickMatch);
+          return;
         }
         
-        let score = 0;
-        const matchedIn = [];
-        const matchedWords = [];
-        
-        // Score based on title, tags, URL
-        for (const word of words) {
-          if (word.length < 3) continue;
-          const stem = word.replace(/(?:ing|ed|s|es|ship|ships)$/i, '');
+        // If no quick match, look the page text up in the content index
+        if (contentIndex.docs[tab.id]) {
+          // Stored text is only needed for quoted phrases, exclusions and PDF page numbers
+          const needsText = keywordQuery.phrases.length || keywordQuery.excludes.length || isPdfUrl(tab.url) || summary.metadata?.kind === 'pdf';
+          const stored = needsText ? await storageGet(FULL_TEXT_STORE, normalizeUrl(tab.url)).catch(() => null) : null;
+          if (signal?.aborted) return;
           
-          const titleMatch = title.includes(word) || (stem.length >= 3 && title.includes(stem));
-          const tagMatch = tags.includes(word) || (stem.length >= 3 && tags.includes(stem));
-          const urlMatch = urlParts.includes(word) || (stem.length >= 3 && urlParts.includes(stem));
-          
-          if (titleMatch || tagMatch || urlMatch) {
-            matchedWords.push(word);
-          }
-          
-          if (titleMatch) {
-            score += 5;
-            matchedIn.push('title');
-          }
-          if (tagMatch) {
-            score += 7;
-            matchedIn.push('tags');
-          }
-          if (urlMatch) {
-            score += 1;
-            matchedIn.push('url');
+          if (passesContentFilters(keywordQuery, { ...summary, content: stored?.text }, contentIndex)) {
+            const [contentMatch] = indexSearch(aggressiveIndex, words, { fields: contentFields, docIds: [tab.id], fuzzy: fuzzyTolerance });
+            if (contentMatch && isMatch(contentMatch)) {
+              console.log('[AggressiveSearch] Indexed content match (score:', contentMatch.score + '):', tab.title);
+              addResult(contentMatch, stored?.pages && findMatchedPages(stored.pages, contentMatch));
+            }
           }
-        }
-        
-        // If score is already good enough, add to results
-        if (score >= minScore) {
-          results.push(tab.id);
-          const reason = `Matched "${matchedWords.join('", "')}" in ${[...new Set(matchedIn)].join(', ')}`;
-          reasonsMap[tab.id] = reason;
-          scoresMap[tab.id] = score;
-          
-          // Update UI immediately with current results (progressive/streaming)
-          await chrome.storage.session.set({
-            tabSelectionReasons: reasonsMap,
-            tabSelectionScores: scoresMap
-          });
-          
-          const resultSources = {};
-          results.forEach(id => { resultSources[id] = 'keyword'; });
-          await chrome.storage.session.set({ tabResultSources: resultSources });
-          
-          // Render current results
-          const allTabs = await chrome.tabs.query({});
-          renderResultsList(allTabs, results, true);
-          
-          // Update status
-          setStatus(`Aggressive search: ${i + 1}/${tabs.length} tabs | Found ${results.length} matches`, 'success');
-          
-          continue;
-        }
-        
-        // If no quick match, extract full text and check content
-        if (isScriptableUrl(tab.url)) {
-          setStatus(`Aggressive search: ${i + 1}/${tabs.length} tabs | Scanning: "${tab.title.substring(0, 30)}..."`, '');
+        } else if (isReadableUrl(tab.url)) {
+          // Not indexed yet (the service worker has not read it): extract the text now
+          setStatus(`Aggressive search: ${searched}/${tabs.length} tabs | Scanning: "${tab.title.substring(0, 30)}..."`, '');
           
           const fullTextResult = await extractFullPageText([tab]);
+          if (signal?.aborted) return;
           const fullText = fullTextResult[0]?.fullText || '';
           
-          if (fullText) {
-            const fullTextLower = fullText.toLowerCase();
-            
-            // Search in full text
-            for (const word of words) {
-              if (word.length < 3) continue;
-              const stem = word.replace(/(?:ing|ed|s|es|ship|ships)$/i, '');
-              
-              const contentMatch = fullTextLower.includes(word) || (stem.length >= 3 && fullTextLower.includes(stem));
-              
-              if (contentMatch) {
-                matchedWords.push(word);
-                score += 4;
-                matchedIn.push('content');
-              }
-            }
+          const contentDoc = { ...summary, content: fullText, language: fullTextResult[0]?.language || summary.language };
+          
+          if (fullText && passesContentFilters(keywordQuery, contentDoc)) {
+            indexAddDocument(aggressiveIndex, tab.id, contentDoc);
+            const [contentMatch] = indexSearch(aggressiveIndex, words, { fields: contentFields, docIds: [tab.id], fuzzy: fuzzyTolerance });
             
             // If found match in content, add to results
-            if (score >= minScore) {
-              results.push(tab.id);
-              const reason = `Matched "${matchedWords.join('", "')}" in ${[...new Set(matchedIn)].join(', ')}`;
-              reasonsMap[tab.id] = reason;
-              scoresMap[tab.id] = score;
-              console.log('[AggressiveSearch] Tab', i + 1, '- Content match (score:', score + '):', tab.title);
-              
-              // Update UI immediately with current results (progressive/streaming)
-              await chrome.storage.session.set({
-                tabSelectionReasons: reasonsMap,
-                tabSelectionScores: scoresMap
-              });
-              
-              const resultSources = {};
-              results.forEach(id => { resultSources[id] = 'keyword'; });
-              await chrome.storage.session.set({ tabResultSources: resultSources });
-              
-              // Render current results
-              const allTabs = await chrome.tabs.query({});
-              renderResultsList(allTabs, results, true);
-              
-              // Update status
-              setStatus(`Aggressive search: ${i + 1}/${tabs.length} tabs | Found ${results.length} matches`, 'success');
+            if (contentMatch && isMatch(contentMatch)) {
+              console.log('[AggressiveSearch] Content match (score:', contentMatch.score + '):', tab.title);
+              const pages = fullTextResult[0]?.pages;
+              addResult(contentMatch, pages && findMatchedPages(pages, contentMatch));
             }
           }
         }
+      };
+      
+      console.log('[AggressiveSearch] Searching', tabs.length, 'tabs,', AGGRESSIVE_SEARCH_CONCURRENCY, 'at a time');
+      
+      // Update status to show aggressive search is running
+      setStatus(`Aggressive search: 0/${tabs.length} tabs searched...`, '');
+      
+      // Workers stop taking tabs once the search is aborted; tabs already being read are dropped when they finish
+      await mapWithConcurrency(tabs, AGGRESSIVE_SEARCH_CONCURRENCY, async (tab) => {
+        if (signal?.aborted) return;
+        try {
+          await searchTab(tab);
+        } catch (e) {
+          console.warn('[AggressiveSearch] Failed to search tab', tab.id, e);
+        }
+        searched++;
         
         // Update progress every 10 tabs
-        if ((i + 1) % 10 === 0) {
-          console.log('[AggressiveSearch] Progress:', i + 1, '/', tabs.length, 'tabs searched,', results.length, 'matches found');
-          setStatus(`Aggressive search: ${i + 1}/${tabs.length} tabs | Found ${results.length} matches`, 'success');
+        if (searched % 10 === 0 && !signal?.aborted) {
+          console.log('[AggressiveSearch] Progress:', searched, '/', tabs.length, 'tabs searched,', results.length, 'matches found');
+          setStatus(progressText(), 'success');
         }
+      });
+      await renderPromise;
+      
+      if (signal?.aborted) {
+        console.log('[AggressiveSearch] Aborted after', searched, 'tabs');
+        setStatus(`Search aborted. Found ${results.length} tabs (searched ${searched}/${tabs.length})`, 'success');
+        return results;
       }
       
-      console.log('[AggressiveSearch] Sequential search complete:', results.length, 'total matches');
+      console.log('[AggressiveSearch] Search complete:', results.length, 'total matches');
       setStatus(`Found ${results.length} ${pluralize('tab', results.length)} (searched all ${tabs.length} tabs).`, 'success');
       
       // Final update
-      await chrome.storage.session.set({
-        tabSelectionReasons: reasonsMap,
-        tabSelectionScores: scoresMap
-      });
-      
-      // Mark all results as 'keyword' source
-      const resultSources = {};
-      results.forEach(id => { resultSources[id] = 'keyword'; });
-      await chrome.storage.session.set({ tabResultSources: resultSources });
+      await saveResults();
       
       return results;
     }
@@ -1405,7 +1232,7 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     if (aiOnlyEnabled) {
       console.log('[Search] AI Only mode enabled - skipping fallback search');
       // Only use AI, no fallback
-      const idsFromAI = await tryOnDeviceSelectFromSummaries(summaries, query, signal);
+      const idsFromAI = await tryOnDeviceSelectFromSummaries(selectAICandidates(summaries, keywordQuery), query, signal);
       hideAIWaitingMessage();
       
       if (idsFromAI && idsFromAI.length) {
@@ -1427,8 +1254,10 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     
     // Normal mode: Start both searches in parallel for faster results
 
-    const fallbackPromise = performFallbackSearch(summaries, query);
-    const aiPromise = tryOnDeviceSelectFromSummaries(summaries, query, signal);
+    const fallbackPromise = keywordRanking === 'vector'
+      ? performVectorSearch(summaries, keywordQuery)
+      : performFallbackSearch(summaries, keywordQuery);
+    const aiPromise = tryOnDeviceSelectFromSummaries(selectAICandidates(summaries, keywordQuery), query, signal);
     
     // Get fallback results first (they're fast)
     const fallbackIds = await fallbackPromise;
@@ -1462,67 +1291,41 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
           hideAIStatusNotice();
           hideAIWaitingMessage(); // Hide AI waiting message
           
-          // Detailed logging of AI vs fallback comparison
-          console.log('[AI-Replace] === Replacing fallback results with AI results ===');
-          console.log('[AI-Replace] AI results:', idsFromAI);
-          console.log('[AI-Replace] Fallback results (will be replaced):', fallbackIds);
+          // Fuse AI relevance and keyword ranking into one ordering; keyword-only tabs are kept
+          // but can only outrank AI picks when the keyword signal is strong
+          const finalIds = await fuseSearchResults(idsFromAI, fallbackIds);
           
-          // Find which tabs are in both results
           const aiSet = new Set(idsFromAI);
           const fallbackSet = new Set(fallbackIds);
+          console.log('[AI-Fusion] In both:', idsFromAI.filter(id => fallbackSet.has(id)).length,
+            'AI only:', idsFromAI.filter(id => !fallbackSet.has(id)).length,
+            'keyword only:', fallbackIds.filter(id => !aiSet.has(id)).length);
+          console.log('[AI-Fusion] Previous count:', fallbackIds.length, '→ New count:', finalIds.length);
           
-          const duplicates = idsFromAI.filter(id => fallbackSet.has(id));
-          const aiOnly = idsFromAI.filter(id => !fallbackSet.has(id));
-          const fallbackOnly = fallbackIds.filter(id => !aiSet.has(id));
-          
-          console.log('[AI-Replace] Tabs in both (AI replaces keyword version):', duplicates.length, duplicates);
-          console.log('[AI-Replace] Tabs only in AI results (new additions):', aiOnly.length, aiOnly);
-          console.log('[AI-Replace] Tabs only in fallback (will be removed):', fallbackOnly.length, fallbackOnly);
-          
-          // REPLACEMENT STRATEGY: Use ONLY AI results, discard fallback-only tabs
-          // This ensures AI scoring and reasoning completely replaces keyword matching
-          const finalIds = idsFromAI; // Only keep AI results
-          
-          console.log('[AI-Replace] Final result: Using AI results only');
-          console.log('[AI-Replace] Previous count:', fallbackIds.length, '→ New count:', finalIds.length);
-          console.log('[AI-Replace] Removed', fallbackOnly.length, 'keyword-only results');
-          
-          // Get AI scores for sorting
-          const { tabSelectionScores = {} } = await chrome.storage.session.get('tabSelectionScores');
-          console.log('[AI-Replace] Top 5 AI scores:', finalIds.slice(0, 5).map(id => `ID=${id} Score=${tabSelectionScores[id]}`));
-          
-          // Mark ALL results as 'ai' source (no keyword results remain)
-          const updatedSources = {};
-          finalIds.forEach(id => { updatedSources[id] = 'ai'; });
-          await chrome.storage.session.set({ tabResultSources: updatedSources });
-          
-          // Update UI with AI results only
+          // Update UI with fused results
           if (finalIds.length !== fallbackIds.length || !finalIds.every((id, i) => id === fallbackIds[i])) {
-            console.log('[AI-Replace] Updating UI with AI-only results');
+            console.log('[AI-Fusion] Updating UI with fused results');
             
             // Store that we have AI results
             await chrome.storage.session.set({ aiResultsAdded: true, originalFallbackIds: fallbackIds });
             
             chrome.tabs.query({}).then(async tabs => {
               renderResultsList(tabs, finalIds, true);
-              // Update session with AI results
+              // Update session with fused results
               const { aiSearchSession } = await chrome.storage.session.get('aiSearchSession');
               if (aiSearchSession) {
                 const updated = { ...aiSearchSession, tabIds: finalIds };
                 await chrome.storage.session.set({ aiSearchSession: updated });
               }
               
-              // Show status with AI result count - use actual finalIds count
-              const aiCount = finalIds.length;
-              
-              console.log('[AI-Replace] Setting status with final AI count:', aiCount);
-              
-              // Create status message - always show final count clearly
-              status.textContent = `Found ${aiCount} ${pluralize('tab', aiCount)}.`;
+              // Show status with the fused result count
+              const resultCount = finalIds.length;
+              console.log('[AI-Fusion] Setting status with final count:', resultCount);
+              status.textContent = `Found ${resultCount} ${pluralize('tab', resultCount)}.`;
               status.className = 'success';
             });
           } else {
-            console.log('[AI-Replace] Results identical - no UI update needed');
+            console.log('[AI-Fusion] Results identical - no UI update needed');
             // Same tabs, just update the status message
             hideAIWaitingMessage();
             setStatus(`Found ${finalIds.length} ${pluralize('tab', finalIds.length)}.`, 'success');
@@ -1567,6 +1370,34 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     return [];
   }
   
+  /**
+   * Merge AI and keyword results with reciprocal rank fusion, weighted by the ranking blend setting.
+   * Stores the fused score per tab in tabSelectionScores and each signal's rank, raw score and
+   * contribution in tabScoreBreakdown for the "Why Selected?" panel. Returns fused tab IDs.
+   */
+  async function fuseSearchResults(aiIds, keywordIds) {
+    const { aiScores = {}, keywordScores = {} } = await chrome.storage.session.get(['aiScores', 'keywordScores']);
+    const weights = FUSION_WEIGHT_PRESETS[rankingBlend] || FUSION_WEIGHT_PRESETS[DEFAULT_FUSION_PRESET];
+    
+    const fused = fuseRankings({
+      ai: aiIds.map(id => ({ id, score: aiScores[id] })),
+      keyword: keywordIds.map(id => ({ id, score: keywordScores[id] }))
+    }, weights);
+    
+    const { tabSelectionScores = {} } = await chrome.storage.session.get('tabSelectionScores');
+    const scoreBreakdown = {};
+    const resultSources = {};
+    for (const item of fused) {
+      tabSelectionScores[item.id] = Math.round(item.score * 10000) / 10000;
+      scoreBreakdown[item.id] = item.signals;
+      resultSources[item.id] = item.signals.ai ? 'ai' : 'keyword';
+    }
+    
+    await chrome.storage.session.set({ tabSelectionScores, tabScoreBreakdown: scoreBreakdown, tabResultSources: resultSources });
+    console.log('[AI-Fusion] Blend:', rankingBlend, 'Top 5:', fused.slice(0, 5).map(item => `ID=${item.id} Score=${item.score.toFixed(4)}`));
+    return fused.map(item => item.id);
+  }
+  
   // Detect and parse hashtag queries
   function parseHashtagQuery(query) {
     const trimmed = query.trim();
@@ -1593,34 +1424,28 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
   async function performTagSearch(summaries, searchTags) {
     console.log('[HashtagSearch] Searching for tags:', searchTags);
     
+    const index = await getSearchIndex(summaries);
+    
+    // Any matching tag is enough; prefix matching keeps "#dev" finding "development"
+    const matches = indexSearch(index, searchTags, {
+      fields: ['tags'],
+      docIds: summaries.map(s => s.id),
+      prefix: true,
+      fuzzy: fuzzyTolerance
+    });
+    
     const results = [];
     const reasonsMap = {};
     const scoresMap = {};
     
-    for (const summary of summaries) {
-      const tabTags = (summary.tags || []).map(t => t.toLowerCase());
-      
-      let matchedTags = [];
-      let score = 0;
-      
-      // Check how many search tags match this tab's tags
-      for (const searchTag of searchTags) {
-        for (const tabTag of tabTags) {
-          // Exact match or partial match
-          if (tabTag === searchTag || tabTag.includes(searchTag) || searchTag.includes(tabTag)) {
-            matchedTags.push(searchTag);
-            score += 10; // High score for tag matches
-            break;
-          }
-        }
-      }
-      
-      // Include tab if at least one tag matches
-      if (matchedTags.length > 0) {
-        results.push(summary.id);
-        reasonsMap[summary.id] = `Matched tags: #${matchedTags.join(', #')}`;
-        scoresMap[summary.id] = score;
-      }
+    for (const match of matches) {
+      results.push(match.id);
+      const matchedTags = match.matchedKeywords.map(tag => {
+        const corrected = match.fuzzyMatches[tag];
+        return corrected ? `#${corrected} (fuzzy for '#${tag}')` : `#${tag}`;
+      });
+      reasonsMap[match.id] = `Matched tags: ${matchedTags.join(', ')}`;
+      scoresMap[match.id] = roundScore(match.score);
     }
     
     // Store reasons and scores
@@ -1633,8 +1458,168 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     return results;
   }
   
+  // Keyword clauses for the index scorer: plain words go through stop-word filtering and
+  // synonym expansion, phrases and OR groups are kept as typed
+  function getKeywordClauses(searchQuery) {
+    const isPlainWord = (clause) => !clause.phrase && clause.alternatives.length === 1 && !/\s/.test(clause.alternatives[0]);
+    const structured = searchQuery.clauses.filter(clause => !isPlainWord(clause));
+    const plainWords = searchQuery.clauses.filter(isPlainWord).map(clause => clause.alternatives[0]);
+    
+    const keywords = plainWords.length
+      ? extractKeywords(plainWords.join(' '), { keepAllIfEmpty: !structured.length })
+      : [];
+    
+    return [
+      ...expandKeywordsWithSynonyms(keywords, synonymMap),
+      ...structured.map(clause => clause.alternatives.length > 1
+        ? clause.alternatives.map(alt => alt.toLowerCase())
+        : clause.alternatives[0].toLowerCase())
+    ];
+  }
+  
+  // Only plain natural-language queries are worth an AI round trip; anything with operators,
+  // hashtags or just a couple of words is already in keyword form
+  function shouldRewriteQuery(query, searchQuery, hashtagInfo) {
+    if (!aiQueryRewriteEnabled || aiOnlyEnabled || aiAvailable === false) return false;
+    if (hashtagInfo.isHashtagSearch || query === lastRewrittenQuery) return false;
+    if (searchQuery.filters.length || searchQuery.excludes.length || searchQuery.phrases.length) return false;
+    const isPlain = searchQuery.clauses.every(clause => !clause.phrase && clause.alternatives.length === 1);
+    return isPlain && searchQuery.clauses.length >= 3;
+  }
+  
+  // Ask the on-device model for must-have keywords, synonyms and exclusions, returned as
+  // editable query syntax, e.g. "kubernetes (deployment OR rollout) -helm"
+  async function rewriteQueryWithAI(query, signal) {
+    if (queryRewriteCache.has(query)) return queryRewriteCache.get(query);
+    
+    const systemPrompt = `You turn a browser tab search request into search keywords.
+Return the topic words a matching tab MUST mention (1-5, most specific first), a few common synonyms or abbreviations for each, and words the user explicitly wants to EXCLUDE.
+Drop filler such as "tab", "find", "looking for", "the one about". Never invent exclusions.
+If the request is not in English, keep each term in its language and add the English translation as a synonym.
+
+EXAMPLE: "that article I was reading on deploying kubernetes without helm"
+{"keywords": [{"term": "kubernetes", "synonyms": ["k8s"]}, {"term": "deploy", "synonyms": ["deployment", "rollout"]}], "exclude": ["helm"]}`;
+    
+    const schema = {
+      type: 'object',
+      properties: {
+        keywords: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              term: { type: 'string', description: 'A word or short phrase the tab must mention' },
+              synonyms: { type: 'array', items: { type: 'string' }, description: 'Other ways to say the term' }
+            },
+            required: ['term', 'synonyms']
+          }
+        },
+        exclude: { type: 'array', items: { type: 'string' }, description: 'Words the user does not want' }
+      },
+      required: ['keywords', 'exclude']
+    };
+    
+    try {
+      const sessionObj = await getOnDeviceSession('rewrite_query', systemPrompt, [detectTextLanguage(query)]);
+      if (!sessionObj || signal?.aborted) return null;
+      
+      console.debug('[QueryRewrite] Rewriting query:', query);
+      const raw = await applyOnDevicePrompt(sessionObj, `Request: "${query}"`, schema, signal);
+      if (signal?.aborted) return null;
+      
+      const rewritten = formatRewrittenQuery(safeJsonParse(raw));
+      console.log('[QueryRewrite] Rewritten query:', rewritten);
+      queryRewriteCache.set(query, rewritten);
+      return rewritten;
+    } catch (e) {
+      console.warn('[QueryRewrite] Failed to rewrite query:', e);
+      return null;
+    }
+  }
+  
+  // Build query syntax from the model's answer; anything that would parse as an operator is stripped
+  function formatRewrittenQuery(parsed) {
+    if (!parsed || !Array.isArray(parsed.keywords)) return null;
+    
+    const clean = (text) => String(text || '')
+      .toLowerCase()
+      .replace(/["()|:]/g, ' ')
+      .replace(/(^|\s)-+/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+    
+    const parts = [];
+    for (const keyword of parsed.keywords.slice(0, 5)) {
+      const term = clean(keyword?.term);
+      if (!term) continue;
+      const synonyms = (Array.isArray(keyword.synonyms) ? keyword.synonyms : [])
+        .map(clean)
+        .filter(synonym => synonym && synonym !== term)
+        .slice(0, 3);
+      // Multi-word alternatives are quoted so OR does not split them (quotes inside OR only group words)
+      const alternatives = [term, ...synonyms].map(alt => /\s/.test(alt) ? `"${alt}"` : alt);
+      parts.push(synonyms.length ? `(${alternatives.join(' OR ')})` : term);
+    }
+    if (!parts.length) return null;
+    
+    const excludes = (Array.isArray(parsed.exclude) ? parsed.exclude : [])
+      .map(clean)
+      .filter(Boolean)
+      .slice(0, 3)
+      .map(word => /\s/.test(word) ? `-"${word}"` : `-${word}`);
+    
+    return [...parts, ...excludes].join(' ');
+  }
+  
+  function showQueryRewrite(rewritten) {
+    queryRewriteText.textContent = rewritten;
+    queryRewrite.style.display = 'flex';
+  }
+  
+  function hideQueryRewrite() {
+    queryRewriteText.textContent = '';
+    queryRewrite.style.display = 'none';
+  }
+  
+  // Tabs matched by operators alone, kept in tab order
+  async function performFilterOnlySearch(summaries, searchQuery) {
+    const parts = searchQuery.filters.map(formatQueryFilter);
+    parts.push(...searchQuery.excludes.map(ex => ex.phrase ? `-"${ex.value}"` : `-${ex.value}`));
+    const reason = `Matched filters: ${parts.join(' ')}`;
+    
+    const results = summaries.map(s => s.id);
+    const reasonsMap = {};
+    const resultSources = {};
+    results.forEach(id => {
+      reasonsMap[id] = reason;
+      resultSources[id] = 'keyword';
+    });
+    
+    await chrome.storage.session.set({
+      tabSelectionReasons: reasonsMap,
+      tabSelectionScores: {},
+      tabResultSources: resultSources
+    });
+    
+    console.log('[Search] Filter-only query matched', results.length, 'tabs');
+    return results;
+  }
+  
+  async function getQueryFilterContext(tabs) {
+    const [currentWindow, groups, summaries] = await Promise.all([
+      chrome.windows.getCurrent().catch(() => null),
+      chrome.tabGroups.query({}).catch(() => []),
+      getExistingSummaries(tabs).catch(() => [])
+    ]);
+    return {
+      currentWindowId: currentWindow?.id,
+      groupTitles: new Map(groups.map(g => [g.id, g.title || ''])),
+      pageMetadata: new Map(summaries.filter(s => s.metadata).map(s => [s.id, s.metadata]))
+    };
+  }
+  
   // Extract meaningful keywords from natural language queries
-  function extractKeywords(query) {
+  function extractKeywords(query, { keepAllIfEmpty = true } = {}) {
     // Common filler words/phrases to ignore when extracting keywords
     // Since this is a tab search tool, users often say "looking for tab about X" or "tab is about Y"
     // We want to keep the actual topic (X, Y) but remove the search-related filler
@@ -1660,143 +1645,88 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     
     const words = query.toLowerCase().split(/\s+/).filter(Boolean);
     
+    // Also drop the function words of the query's own language ("busco la pestaña de recetas")
+    const language = detectTextLanguage(query);
+    
     // Filter out stop words and keep meaningful keywords
+    const seenStems = new Set();
     const keywords = words.filter(word => {
       // Keep words that are:
       // - Not stop words
-      // - Longer than 2 characters (keeps meaningful short words like "git", "npm", "api")
-      return !stopWords.has(word) && word.length > 2;
+      // - Longer than 2 characters (keeps meaningful short words like "git", "npm", "api"),
+      //   or a known abbreviation from the synonym dictionary ("ml", "js")
+      // - Not another form of a word already kept ("tutorial tutorials")
+      if (stopWords.has(word) || isStopWord(word, language)) return false;
+      if (word.length <= 2 && !synonymMap.has(getSynonymKey(word))) return false;
+      const stem = normalizeTerm(word);
+      if (seenStems.has(stem)) return false;
+      seenStems.add(stem);
+      return true;
     });
     
     // If no keywords found (query was all stop words), return original words
     // This handles edge cases like "ai" or "ml" where the query IS the stop word
-    if (keywords.length === 0) {
+    if (keywords.length === 0 && keepAllIfEmpty) {
       console.log('[KeywordExtract] No keywords found after filtering, using all words');
       return words;
     }
     
     console.log('[KeywordExtract] Original query:', query);
     console.log('[KeywordExtract] Extracted keywords:', keywords);
+    console.log('[KeywordExtract] Stems:', keywords.map(normalizeTerm));
     
     return keywords;
   }
   
-  async function performFallbackSearch(summaries, query, fullTextData = null) {
+  // Stemmed words of a piece of text (same normalization as the search index)
+  function getTextStems(text) {
+    return new Set(tokenizeText(text).map(normalizeTerm));
+  }
+  
+  // Does a set of stems contain every word of the text, in any inflected form?
+  function stemsInclude(stems, text) {
+    const terms = tokenizeText(text).map(normalizeTerm);
+    return terms.length > 0 && terms.every(term => stems.has(term));
+  }
+  
+  // An AI reason may say "machine learning" for an "ml" query
+  function reasonMentionsKeyword(reasonStems, keyword) {
+    return stemsInclude(reasonStems, keyword) ||
+      getSynonyms(synonymMap, keyword).some(synonym => stemsInclude(reasonStems, synonym));
+  }
+  
+  async function performFallbackSearch(summaries, searchQuery) {
     // Extract meaningful keywords from the query
-    const keywords = extractKeywords(query);
-    const q = query.toLowerCase();
-    const words = keywords; // Use extracted keywords instead of all words
+    const words = getKeywordClauses(searchQuery);
     
-    // If aggressive search is enabled and we have full text data, use it
-    const isAggressive = fullTextData !== null;
-    if (isAggressive) {
-      console.log('[AggressiveSearch] Using full page text for keyword search');
-    }
+    // Quoted phrases must appear as written
+    const candidates = summaries.filter(s => searchQuery.phrases.every(phrase => docContainsText(s, phrase, true)));
     
-    const scored = summaries.map(s => {
-      // Search in title, summary, tags, and parsed URL parts
-      const title = (s.title || '').toLowerCase();
-      const summary = (s.summary || '').toLowerCase();
-      const tags = (s.tags || []).map(tag => tag.toLowerCase()).join(' ');
-      
-      // Extract domain and path from URL for better matching
-      let urlParts = '';
-      try {
-        const url = new URL(s.url || '');
-        urlParts = `${url.hostname.replace('www.', '')} ${url.pathname.replace(/[\/\-_]/g, ' ')}`.toLowerCase();
-      } catch {
-        urlParts = (s.url || '').toLowerCase();
-      }
-      
-      // If aggressive search, include full page text
-      let fullText = '';
-      if (isAggressive && fullTextData) {
-        const tabFullText = fullTextData.find(ft => ft.id === s.id);
-        fullText = tabFullText ? (tabFullText.fullText || '').toLowerCase() : '';
-      }
-      
-      const searchText = isAggressive 
-        ? `${title} ${tags} ${urlParts} ${fullText}` 
-        : `${title} ${summary} ${tags} ${urlParts}`;
-      
-      let score = 0;
-      const matchedIn = []; // Track where matches were found
-      const matchedWords = []; // Track which words were matched
-      
-      // Score based on keyword matches with different weights
-      for (const word of words) {
-        // Skip very short words (less than 3 chars) to avoid too many false positives
-        if (word.length < 3) continue;
-        
-        // Create a simple stem by removing common suffixes
-        const stem = word.replace(/(?:ing|ed|s|es|ship|ships)$/i, '');
-        
-        // Check for both exact and stemmed matches
-        const titleMatch = title.includes(word) || (stem.length >= 3 && title.includes(stem));
-        const summaryMatch = !isAggressive && (summary.includes(word) || (stem.length >= 3 && summary.includes(stem)));
-        const tagMatch = tags.includes(word) || (stem.length >= 3 && tags.includes(stem));
-        const urlMatch = urlParts.includes(word) || (stem.length >= 3 && urlParts.includes(stem));
-        const fullTextMatch = isAggressive && fullText && (fullText.includes(word) || (stem.length >= 3 && fullText.includes(stem)));
-        
-        if (titleMatch || summaryMatch || tagMatch || urlMatch || fullTextMatch) {
-          matchedWords.push(word);
-        }
-        
-        if (titleMatch) {
-          score += 5; // Title matches are most important
-          matchedIn.push('title');
-        }
-        if (tagMatch) {
-          score += 7; // Tag matches are highly important
-          matchedIn.push('tags');
-        }
-        if (summaryMatch) {
-          score += 3; // Summary matches are good
-          matchedIn.push('summary');
-        }
-        if (fullTextMatch) {
-          score += 4; // Full text matches are important in aggressive mode
-          matchedIn.push('content');
-        }
-        if (urlMatch) {
-          score += 1; // URL matches are helpful
-          matchedIn.push('url');
-        }
-      }
-      
-      return { id: s.id, score, title, url: s.url, tags: s.tags, searchText, matchedIn: [...new Set(matchedIn)], matchedWords: [...new Set(matchedWords)] };
+    const index = await getSearchIndex(summaries);
+    const scored = indexSearch(index, words, {
+      fields: ['title', 'tags', 'summary', 'outline', 'url'],
+      docIds: candidates.map(s => s.id),
+      fuzzy: fuzzyTolerance
     });
     
-    scored.sort((a, b) => b.score - a.score);
-    
-    // More selective: require higher scores for better precision
-    const minScore = Math.max(words.length * 2, 4); // Require at least 2 points per word, minimum 4
-    const filtered = scored.filter(x => x.score >= minScore);
+    // Require at least half of the keywords and a score close enough to the best match
+    const filtered = filterSearchResults(scored, words.length);
     
     // Generate reasons for each result
     const reasonsMap = {};
     const scoresMap = {};
     
     for (const item of filtered) {
-      const locations = item.matchedIn;
-      const matchedWords = item.matchedWords;
-      
-      // Build a human-readable reason
-      let reason = 'Matched ';
-      if (matchedWords.length > 0) {
-        reason += `"${matchedWords.join('", "')}" in `;
-      }
-      reason += locations.join(', ');
-      
-      reasonsMap[item.id] = reason;
-      scoresMap[item.id] = item.score;
+      reasonsMap[item.id] = formatMatchReason(item);
+      scoresMap[item.id] = roundScore(item.score);
     }
     
     // Store reasons in session storage for rendering
     try {
       await chrome.storage.session.set({
         tabSelectionReasons: reasonsMap,
-        tabSelectionScores: scoresMap
+        tabSelectionScores: scoresMap,
+        keywordScores: scoresMap
       });
     } catch (err) {
       console.error('[Search] Failed to store fallback reasons:', err);
@@ -1806,12 +1736,161 @@ Respond with valid JSON only (escape any quotes with \\): {"summary": "one sente
     
     console.debug('[Search] Fallback scoring results:');
     console.debug('[Search] Query words:', words);
-    console.debug('[Search] Min score threshold:', minScore);
-    console.debug('[Search] Top 5 scored tabs:', scored.slice(0, 5).map(x => ({ id: x.id, score: x.score, title: x.title })));
-    console.debug('[Search] Selected', results.length, 'tabs with score >=', minScore);
+    console.debug('[Search] Top 5 scored tabs:', scored.slice(0, 5).map(x => ({ id: x.id, score: x.score, matched: x.matchedKeywords })));
+    console.debug('[Search] Selected', results.length, 'tabs');
     
     return results;
   }
+  
+  // Offline similarity ranking over summary vectors (semantic-ish, no AI needed)
+  async function performVectorSearch(summaries, searchQuery) {
+    const clauses = getKeywordClauses(searchQuery);
+    const candidates = summaries.filter(s => searchQuery.phrases.every(phrase => docContainsText(s, phrase, true)));
+    
+    const ranked = rankVectorCandidates(candidates, clauses, { minSimilarity: 0.05 });
+    const bestSimilarity = ranked[0]?.similarity || 0;
+    // Like the keyword scorer, drop tabs far behind the best match
+    const filtered = ranked.filter(r => r.similarity >= bestSimilarity * 0.3);
+    
+    const reasonsMap = {};
+    const scoresMap = {};
+    const queryStems = getTextStems(clauses.flat().map(alt => typeof alt === 'string' ? alt : alt.text).join(' '));
+    const byId = new Map(candidates.map(s => [s.id, s]));
+    
+    for (const item of filtered) {
+      const summary = byId.get(item.id);
+      const docText = [summary.title, (summary.tags || []).join(' '), summary.summary].join(' ');
+      const shared = tokenizeText(docText).filter(token => queryStems.has(normalizeTerm(token)));
+      const sharedWords = [...new Set(shared)].slice(0, 5).map(word => `'${word}'`);
+      reasonsMap[item.id] = sharedWords.length
+        ? `Similar to query (${roundScore(item.similarity)}): ${sharedWords.join(', ')}`
+        : `Similar to query (${roundScore(item.similarity)})`;
+      scoresMap[item.id] = roundScore(item.similarity);
+    }
+    
+    try {
+      await chrome.storage.session.set({
+        tabSelectionReasons: reasonsMap,
+        tabSelectionScores: scoresMap,
+        keywordScores: scoresMap
+      });
+    } catch (err) {
+      console.error('[VectorSearch] Failed to store reasons:', err);
+    }
+    
+    console.debug('[VectorSearch] Top 5 similar tabs:', ranked.slice(0, 5));
+    return filtered.map(x => x.id);
+  }
+  
+  // Rank summaries by vector similarity to keyword clauses
+  function rankVectorCandidates(summaries, clauses, options) {
+    const languages = [...new Set(['en', ...summaries.map(s => s.language || DEFAULT_LANGUAGE)])];
+    const queryVector = buildQueryVector(clauses, languages);
+    return rankByVectorSimilarity(queryVector, summaries, options);
+  }
+  
+  // Keep the AI prompt small: only the tabs most similar to the query, topped up in tab order
+  // so the model can still find matches that share no words with the query
+  function selectAICandidates(summaries, searchQuery) {
+    if (summaries.length <= AI_CANDIDATE_LIMIT) return summaries;
+    
+    const ranked = rankVectorCandidates(summaries, getKeywordClauses(searchQuery), { limit: AI_CANDIDATE_LIMIT });
+    const selected = new Set(ranked.map(r => r.id));
+    for (const s of summaries) {
+      if (selected.size >= AI_CANDIDATE_LIMIT) break;
+      selected.add(s.id);
+    }
+    
+    console.debug('[VectorSearch] Sending', selected.size, 'of', summaries.length, 'tabs to AI,', ranked.length, 'by similarity');
+    return summaries.filter(s => selected.has(s.id));
+  }
+  
+  // Quoted phrases and exclusions of an aggressive search, checked against a tab's page text.
+  // When the text is no longer stored, the content index stands in (word order is not checked)
+  function passesContentFilters(keywordQuery, doc, contentIndex = null) {
+    const contains = (value, phrase) => docContainsText(doc, value, phrase)
+      || (!doc.content && !!contentIndex && indexDocHasTerms(contentIndex, doc.id, value));
+    return keywordQuery.phrases.every(phrase => contains(phrase, true))
+      && !keywordQuery.excludes.some(ex => contains(ex.value, ex.phrase));
+  }
+  
+  // Numbers of the PDF pages a content match came from: pages with every matched word first,
+  // otherwise pages with any of them
+  function findMatchedPages(pages, match) {
+    const words = match.matchedKeywords.map(keyword =>
+      match.fuzzyMatches?.[keyword] || match.synonymMatches?.[keyword] || keyword);
+    const pageWords = pages.map(p => words.filter(word => docContainsText({ content: p.text }, word, false)));
+    let matched = pages.filter((p, i) => pageWords[i].length === words.length);
+    if (!matched.length) matched = pages.filter((p, i) => pageWords[i].length > 0);
+    return matched.map(p => p.page);
+  }
+  
+  // Build a human-readable reason from an index match
+  // pages: PDF page numbers the match was found on, if any
+  function formatMatchReason(match, pages = []) {
+    let reason = 'Matched ';
+    if (match.matchedKeywords.length > 0) {
+      const words = match.matchedKeywords.map(keyword => {
+        const corrected = match.fuzzyMatches?.[keyword];
+        const synonym = match.synonymMatches?.[keyword];
+        if (synonym) return `'${corrected || synonym}' (synonym for '${keyword}')`;
+        return corrected ? `'${corrected}' (fuzzy for '${keyword}')` : `'${keyword}'`;
+      });
+      reason += `${words.join(', ')} in `;
+    }
+    reason += match.matchedFields.join(', ');
+    if (pages.length) {
+      const shown = pages.slice(0, 3).join(', ') + (pages.length > 3 ? ` and ${pages.length - 3} more` : '');
+      reason += ` on ${pluralize('page', pages.length)} ${shown}`;
+    }
+    return reason;
+  }
+  
+  // "Why Selected?" text for a fused result: each signal's rank, raw score and RRF contribution
+  function formatScoreBreakdown(score, breakdown) {
+    const lines = [`Fused Score: ${score}`];
+    if (breakdown.ai) {
+      const { rank, score: aiScore, contribution } = breakdown.ai;
+      lines.push(`• AI: #${rank}${aiScore !== undefined ? `, relevance ${aiScore}/10` : ''} → +${contribution.toFixed(4)}`);
+    } else {
+      lines.push('• AI: not selected');
+    }
+    if (breakdown.keyword) {
+      const { rank, score: keywordScore, contribution } = breakdown.keyword;
+      const label = keywordRanking === 'vector' ? 'similarity' : 'match score';
+      lines.push(`• Keyword: #${rank}${keywordScore !== undefined ? `, ${label} ${keywordScore}` : ''} → +${contribution.toFixed(4)}`);
+    } else {
+      lines.push('• Keyword: no match');
+    }
+    return lines.join('\n') + '\n\n';
+  }
+  
+  function roundScore(score) {
+    return Math.round(score * 100) / 100;
+  }
+  
+  // Load the persisted index and bring it in line with the given summaries. Only the docs that
+  // changed are written back (the service worker writes the same store)
+  async function getSearchIndex(summaries) {
+    const index = await loadSearchIndex();
+    const changedDocs = summaries.filter(s => indexAddDocument(index, s.id, s));
+    
+    // Drop docs for tabs that have been closed since the index was last written
+    const openTabIds = new Set((await chrome.tabs.query({})).map(t => String(t.id)));
+    const closedDocIds = Object.keys(index.docs).filter(docId => !openTabIds.has(docId));
+    closedDocIds.forEach(docId => indexRemoveDocument(index, docId));
+    
+    if (changedDocs.length || closedDocIds.length) {
+      console.debug('[SearchIndex] Updated', changedDocs.length + closedDocIds.length, 'documents');
+      try {
+        await updateSearchIndex(changedDocs);
+        await removeFromSearchIndex(closedDocIds);
+      } catch (e) {
+        console.warn('[SearchIndex] Failed to persist index:', e);
+      }
+    }
+    return index;
+  }
 
   async function tryOnDeviceSelectFromSummaries(summaries, query, signal) {
     console.log('[AI-SELECTION] Starting AI tab selection with relevance scoring');
@@ -1832,7 +1911,7 @@ EXAMPLE: Query "math for data science"
 
 Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "reason": string}]}`;
       
-      const sessionObj = await getOnDeviceSession('select_scored', systemPrompt);
+      const sessionObj = await getOnDeviceSession('select_scored', systemPrompt, [detectTextLanguage(query)]);
       if (!sessionObj) {
         console.debug('[AI] No session available for scoring, falling back.');
         aiAvailable = false;
@@ -1884,7 +1963,7 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         required: ['results']
       };
 
-      const userPrompt = [
+      const buildPrompt = (tabs) => [
         `Query: "${query}"`,
         ``,
         `RULES:`,
@@ -1899,25 +1978,51 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         `FORMAT: "Keywords: 'X' in title: '[exact text]', 'Y' in tags: 'tag1'"`,
         ``,
         `Tabs:`,
-        JSON.stringify(anonymousTabs, null, 2)
+        JSON.stringify(tabs, null, 2)
       ].join('\n');
 
-      console.log('[AI-SELECTION] Sending scoring request to AI...');
+      // Heavy tab users overflow the context window, so tabs are split into prompts that fit
+      const chunks = await chunkTabsForPrompt(sessionObj, anonymousTabs, buildPrompt, signal);
+      console.log('[AI-SELECTION] Sending scoring request to AI in', chunks.length, 'chunk(s)...');
       console.debug('[AI] Prompting AI for scored selection. Query:', query);
       
-      // Pass the abort signal to the AI prompt
-      let raw = await applyOnDevicePrompt(sessionObj, userPrompt, schema, signal);
-      
-      // Check if aborted after AI call
-      if (signal?.aborted) {
-        console.debug('[AI] Search aborted after AI prompt');
-        return [];
+      const chunkResults = [];
+      let parsedChunks = 0;
+      for (let i = 0; i < chunks.length; i++) {
+        if (chunks.length > 1) {
+          showAIWaitingMessage(`AI is scoring tabs (part ${i + 1} of ${chunks.length})...`);
+        }
+        
+        // Each chunk runs in a fresh copy of the session so earlier chunks don't eat its context
+        const chunkSession = await cloneOnDeviceSession(sessionObj, signal);
+        let raw;
+        try {
+          raw = await applyOnDevicePrompt(chunkSession, buildPrompt(chunks[i]), schema, signal);
+        } finally {
+          if (chunkSession !== sessionObj) chunkSession.session.destroy?.();
+        }
+        
+        // Check if aborted after AI call
+        if (signal?.aborted) {
+          console.debug('[AI] Search aborted after AI prompt');
+          return [];
+        }
+        
+        console.log('[AI-SELECTION] AI Response received for chunk', i + 1, ':', raw);
+        const parsedChunk = safeJsonParse(raw);
+        if (!Array.isArray(parsedChunk?.results)) {
+          console.warn('[AI-SELECTION] Chunk', i + 1, 'returned no parseable results');
+          continue;
+        }
+        
+        // Only accept refs that were actually in this chunk
+        const chunkRefs = new Set(chunks[i].map(tab => tab.ref));
+        chunkResults.push(...parsedChunk.results.filter(r => chunkRefs.has(r.ref)));
+        parsedChunks++;
       }
       
-      console.log('[AI-SELECTION] AI Response received:', raw);
-      console.debug('[AI] Select (scored) raw response:', raw);
-      
-      let parsed = safeJsonParse(raw);
+      // Merge the per-chunk scores into one list; validation below ranks them by relevanceScore
+      let parsed = parsedChunks ? { results: chunkResults } : null;
       if (parsed?.results && Array.isArray(parsed.results)) {
         // Extract keywords from query to validate AI actually found them
         const queryKeywords = extractKeywords(query);
@@ -1950,6 +2055,8 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
             const summaryLower = (tabData.summary || '').toLowerCase();
             const urlLower = (tabData.url || '').toLowerCase();
             const tagsLower = (tabData.tags || []).map(t => t.toLowerCase()).join(' ');
+            const tabStems = getTextStems([titleLower, summaryLower, urlLower, tagsLower].join(' '));
+            const reasonStems = getTextStems(r.reason);
 
             // Extract quoted text from reason (text between single quotes that AI claimed to find)
             const quotedTexts = r.reason.match(/'([^']+)'/g) || [];
@@ -1962,10 +2069,12 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
                 const cleanQuoted = quoted.replace(/'/g, '').toLowerCase().trim();
                 if (cleanQuoted.length < 5) continue; // Skip very short quoted text
 
+                // Exact text, or the same words in another form ("running tutorials" vs "Run a tutorial")
                 const matchesThisTab = titleLower.includes(cleanQuoted) ||
                                       summaryLower.includes(cleanQuoted) ||
                                       urlLower.includes(cleanQuoted) ||
-                                      tagsLower.includes(cleanQuoted);
+                                      tagsLower.includes(cleanQuoted) ||
+                                      stemsInclude(tabStems, cleanQuoted);
 
                 if (matchesThisTab) {
                   foundMatch = true;
@@ -2018,11 +2127,8 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
 
             // CRITICAL: Validate that the reason addresses the query
             // Allow semantic matches: if AI provided a detailed explanation, trust it
-            // Count how many keywords are explicitly mentioned in the reason
-            const foundKeywords = queryKeywords.filter(keyword => {
-              const keywordLower = keyword.toLowerCase();
-              return reasonLower.includes(keywordLower);
-            });
+            // Count how many keywords are explicitly mentioned in the reason (compared by stem, synonyms count)
+            const foundKeywords = queryKeywords.filter(keyword => reasonMentionsKeyword(reasonStems, keyword));
             
             const keywordMatchRatio = queryKeywords.length > 0 ? foundKeywords.length / queryKeywords.length : 1;
             
@@ -2064,6 +2170,8 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
               const summaryLower = (tabData.summary || '').toLowerCase();
               const urlLower = (tabData.url || '').toLowerCase();
               const tagsLower = (tabData.tags || []).map(t => t.toLowerCase()).join(' ');
+              const tabStems = getTextStems([titleLower, summaryLower, urlLower, tagsLower].join(' '));
+              const reasonStems = getTextStems(r.reason);
 
               const quotedTexts = r.reason.match(/'([^']+)'/g) || [];
 
@@ -2076,7 +2184,8 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
                   const matchesThisTab = titleLower.includes(cleanQuoted) ||
                                         summaryLower.includes(cleanQuoted) ||
                                         urlLower.includes(cleanQuoted) ||
-                                        tagsLower.includes(cleanQuoted);
+                                        tagsLower.includes(cleanQuoted) ||
+                                        stemsInclude(tabStems, cleanQuoted);
 
                   if (matchesThisTab) {
                     foundMatch = true;
@@ -2101,9 +2210,7 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
                 return false;
               }
 
-              const foundKeywords = queryKeywords.filter(keyword => {
-                return reasonLower.includes(keyword.toLowerCase());
-              });
+              const foundKeywords = queryKeywords.filter(keyword => reasonMentionsKeyword(reasonStems, keyword));
               
               const keywordMatchRatio = queryKeywords.length > 0 ? foundKeywords.length / queryKeywords.length : 1;
               
@@ -2139,7 +2246,8 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         // Store the merged reasons and scores in session storage
         await chrome.storage.session.set({ 
           tabSelectionReasons: mergedReasons,
-          tabSelectionScores: mergedScores
+          tabSelectionScores: mergedScores,
+          aiScores: tabScores
         });
 
         console.log('[AI-SELECTION] AI scoring results:');
@@ -2463,6 +2571,14 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         const badge = el.querySelector('.result-badge');
         const resultSource = tabResultSources[tab.id];
         const tabSummary = summaries.find(s => s.id === tab.id);
+        
+        // What the page says about itself: kind, author, date, price, reading time
+        const pageDetails = formatPageDetails(tabSummary?.metadata);
+        if (pageDetails) {
+          const details = el.querySelector('.page-details');
+          details.textContent = pageDetails;
+          details.style.display = 'block';
+        }
         const tabTags = tabSummary?.tags || [];
         
         // Build tag HTML
@@ -2514,6 +2630,7 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
       const reasonContent = el.querySelector('.reason-content');
       const closeReasonButton = el.querySelector('.close-reason');
       const summarySection = el.querySelector('.summary-section');
+      const summaryMeta = el.querySelector('.summary-meta');
       const summaryContent = el.querySelector('.summary-content');
       const closeSummaryButton = el.querySelector('.close-summary');
       
@@ -2549,13 +2666,15 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         
         try {
           // Get the reason and score from session storage
-          const { tabSelectionReasons = {}, tabSelectionScores = {} } = await chrome.storage.session.get(['tabSelectionReasons', 'tabSelectionScores']);
+          const { tabSelectionReasons = {}, tabSelectionScores = {}, tabScoreBreakdown = {} } = await chrome.storage.session.get(['tabSelectionReasons', 'tabSelectionScores', 'tabScoreBreakdown']);
           const reason = tabSelectionReasons[tab.id];
           const score = tabSelectionScores[tab.id];
+          const breakdown = tabScoreBreakdown[tab.id];
           
           if (reason) {
-            // Format with score if available
-            const scoreText = score ? `Relevance Score: ${score}/10\n\n` : '';
+            // Fused results show what each signal contributed; otherwise the single score
+            let scoreText = score ? `Relevance Score: ${score}/10\n\n` : '';
+            if (breakdown) scoreText = formatScoreBreakdown(score, breakdown);
             reasonContent.textContent = `${scoreText}${reason}`;
             reasonContent.className = 'reason-content';
           } else {
@@ -2591,6 +2710,7 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
         // Show summary section and load content
         summarySection.style.display = 'block';
         updateCloseAllSummariesButton();
+        summaryMeta.textContent = '';
         summaryContent.textContent = 'Loading summary...';
         summaryContent.className = 'summary-content loading';
         
@@ -2600,7 +2720,16 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
           const tabSummary = summaries.find(s => s.id === tab.id);
           
           if (tabSummary?.summary) {
-            summaryContent.textContent = tabSummary.summary;
+            if (tabSummary.summarizedAt) {
+              const age = `Summarized ${formatAge(Date.now() - tabSummary.summarizedAt)}`;
+              summaryMeta.textContent = tabSummary.contentChanged ? `${age} · content changed since summary` : age;
+              summaryMeta.classList.toggle('changed', tabSummary.contentChanged);
+            }
+            // Long pages also list what each section covers
+            const outline = (tabSummary.outline || []).map(section => `• ${section.heading}: ${section.summary}`);
+            summaryContent.textContent = outline.length
+              ? `${tabSummary.summary}\n\nSections:\n${outline.join('\n')}`
+              : tabSummary.summary;
             summaryContent.className = 'summary-content';
           } else {
             summaryContent.textContent = 'No summary available for this tab.';
@@ -2694,10 +2823,11 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
   }
 
   // --- On-device AI helpers with better memoization ---
-  async function getOnDeviceSession(key, systemPrompt) {
-    // Use only the key for caching, not the full systemPrompt
+  async function getOnDeviceSession(key, systemPrompt, inputLanguages = ['en']) {
+    // Use only the key and input languages for caching, not the full systemPrompt
     // This allows reusing sessions across different prompts
-    const cacheKey = key;
+    const languages = [...new Set(['en', ...inputLanguages])].sort();
+    const cacheKey = `${key}:${languages.join(',')}`;
     
     if (sessionCache.has(cacheKey)) {
       console.debug('[AI] Using cached session for:', key);
@@ -2711,7 +2841,7 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
     
     console.debug('[AI] Creating new session for:', key);
     const p = (async () => { 
-      const sess = await createOnDeviceSession(systemPrompt); 
+      const sess = await createOnDeviceSession(systemPrompt, languages); 
       if (sess) {
         sessionCache.set(cacheKey, sess);
         console.debug('[AI] Session cached for:', key);
@@ -2724,13 +2854,22 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
     return p;
   }
 
-  async function createOnDeviceSession(systemPrompt) {
+  async function createOnDeviceSession(systemPrompt, inputLanguages = ['en']) {
     try {
       if (typeof self.LanguageModel !== 'undefined' && typeof self.LanguageModel.create === 'function') {
-        const availabilityOptions = { expectedInputs: [{ type: 'text', languages: ['en'] }], expectedOutputs: [{ type: 'text', languages: ['en'] }] };
+        // Input may be in the pages' or the query's language; output is always English
+        const getAvailabilityOptions = (languages) => ({ expectedInputs: [{ type: 'text', languages }], expectedOutputs: [{ type: 'text', languages: ['en'] }] });
+        let availabilityOptions = getAvailabilityOptions(inputLanguages);
         let availability = 'unavailable';
-        try { availability = await self.LanguageModel.availability?.(availabilityOptions); console.debug('[AI] LanguageModel availability:', availability); }
+        try { availability = await self.LanguageModel.availability?.(availabilityOptions); console.debug('[AI] LanguageModel availability:', availability, 'for', inputLanguages); }
         catch (e) { console.warn('[AI] availability() failed', e); }
+        if (availability === 'unavailable' && inputLanguages.some(language => language !== 'en')) {
+          // The model does not accept every language yet - English-only input still works for the rest
+          console.debug('[AI] Input languages not supported, retrying with English only:', inputLanguages);
+          availabilityOptions = getAvailabilityOptions(['en']);
+          try { availability = await self.LanguageModel.availability?.(availabilityOptions); }
+          catch (e) { console.warn('[AI] availability() failed', e); }
+        }
         if (availability === 'unavailable') { 
           console.debug('[AI] LanguageModel unavailable for current options'); 
           aiAvailable = false;
@@ -2781,6 +2920,88 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
     sessionCreatePromises.clear();
   }
 
+  // Room left for a prompt in a fresh copy of the session, keeping some back for the answer
+  function getPromptTokenBudget(sessionObj) {
+    const { session } = sessionObj;
+    const quota = session.inputQuota ?? session.maxTokens ?? 6144;
+    const used = session.inputUsage ?? session.tokensSoFar ?? 0;
+    return Math.max(256, Math.floor((quota - used) * 0.75));
+  }
+  
+  // Tokens a prompt would take; estimated at ~4 characters per token if the API can't tell us
+  async function measurePromptTokens(sessionObj, text, signal) {
+    const { session } = sessionObj;
+    try {
+      if (typeof session.measureInputUsage === 'function') return await session.measureInputUsage(text, { signal });
+      if (typeof session.countPromptTokens === 'function') return await session.countPromptTokens(text, { signal });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.debug('[AI] Could not measure prompt usage, estimating:', e);
+    }
+    return Math.ceil(text.length / 4);
+  }
+  
+  /**
+   * Split items into groups whose prompt (built by buildPrompt) fits the session's input budget.
+   * Packs greedily using a tokens-per-character ratio from one measurement, then re-measures each
+   * chunk and halves any that still don't fit.
+   */
+  async function chunkTabsForPrompt(sessionObj, items, buildPrompt, signal) {
+    const budget = getPromptTokenBudget(sessionObj);
+    const fullPrompt = buildPrompt(items);
+    const fullTokens = await measurePromptTokens(sessionObj, fullPrompt, signal);
+    console.debug('[AI] Prompt tokens:', fullTokens, 'budget:', budget);
+    if (fullTokens <= budget || items.length <= 1) return [items];
+    
+    const tokensPerChar = fullTokens / fullPrompt.length;
+    const baseTokens = Math.ceil(buildPrompt([]).length * tokensPerChar);
+    
+    const packed = [];
+    let current = [];
+    let currentTokens = baseTokens;
+    for (const item of items) {
+      // Stringified as a list element so the indentation matches the real prompt
+      const itemTokens = Math.ceil(JSON.stringify([item], null, 2).length * tokensPerChar);
+      if (current.length && currentTokens + itemTokens > budget) {
+        packed.push(current);
+        current = [];
+        currentTokens = baseTokens;
+      }
+      current.push(item);
+      currentTokens += itemTokens;
+    }
+    if (current.length) packed.push(current);
+    
+    const chunks = [];
+    while (packed.length) {
+      const chunk = packed.shift();
+      const tokens = await measurePromptTokens(sessionObj, buildPrompt(chunk), signal);
+      if (tokens > budget && chunk.length > 1) {
+        const half = Math.ceil(chunk.length / 2);
+        packed.unshift(chunk.slice(0, half), chunk.slice(half));
+      } else {
+        chunks.push(chunk);
+      }
+    }
+    
+    console.debug('[AI] Split', items.length, 'tabs into', chunks.length, 'chunks');
+    return chunks;
+  }
+  
+  // A copy of a session that shares its system prompt but not its history; the session itself
+  // if cloning is not supported
+  async function cloneOnDeviceSession(sessionObj, signal) {
+    try {
+      if (typeof sessionObj.session.clone === 'function') {
+        return { ...sessionObj, session: await sessionObj.session.clone({ signal }) };
+      }
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.debug('[AI] Session clone failed, reusing session:', e);
+    }
+    return sessionObj;
+  }
+
   async function applyOnDevicePrompt(sessionObj, promptText, responseSchema, signal) {
     if (!sessionObj) return null;
     try {
@@ -2853,101 +3074,83 @@ Score 6-10, return JSON: {"results": [{"id": number, "relevanceScore": number, "
 
   async function logSearchHistory(query, tabIds) {
     try {
-      const { searchHistoryByDate = {} } = await chrome.storage.local.get('searchHistoryByDate');
-      const today = new Date();
-      const yyyy = today.getFullYear();
-      const mm = String(today.getMonth() + 1).padStart(2, '0');
-      const dd = String(today.getDate()).padStart(2, '0');
-      const key = `${yyyy}-${mm}-${dd}`;
-      const entry = { query, tabIds, at: Date.now() };
-      const arr = Array.isArray(searchHistoryByDate[key]) ? searchHistoryByDate[key] : [];
-      
-      // Remove any existing entry with the same query to avoid duplicates
-      const filteredArr = arr.filter(item => item.query !== query);
-      
-      // Add the new/updated entry at the beginning (most recent)
-      filteredArr.unshift(entry);
+      const key = getTodayKey();
+      // Keyed by day and query, so searching the same thing again replaces the older entry
+      const entry = { key: `${key} ${query}`, day: key, query, tabIds, at: Date.now() };
+      await storagePut(HISTORY_STORE, entry);
       
       // Keep only last 5 searches
-      if (filteredArr.length > 5) filteredArr.length = 5;
-      
-      searchHistoryByDate[key] = filteredArr;
-      await chrome.storage.local.set({ searchHistoryByDate });
+      const items = await getTodayHistory();
+      await storageDelete(HISTORY_STORE, items.slice(5).map(item => item.key));
       console.debug('[History] Logged search under', key, entry);
     } catch (e) {
       console.warn('[History] Failed to log search', e);
     }
   }
 
-  function safeJsonParse(text) { 
-    try { 
-      // First try to parse as-is
-      return JSON.parse(text); 
-    } catch (e) { 
+  // "Article · Jane Doe · Mar 3, 2025 · 5 min read", "Product · Acme · USD 19.99"
+  function formatPageDetails(metadata) {
+    if (!metadata) return '';
+    const parts = [];
+    if (metadata.kind) parts.push(metadata.kind === 'pdf' ? 'PDF' : metadata.kind[0].toUpperCase() + metadata.kind.slice(1));
+    if (metadata.author) parts.push(truncate(metadata.author, 30));
+    else if (metadata.siteName) parts.push(truncate(metadata.siteName, 30));
+    if (metadata.publishedAt) {
+      parts.push(new Date(metadata.publishedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }));
+    }
+    if (metadata.price !== undefined) {
       try {
-        // Try to extract JSON from markdown code blocks
-        let jsonText = text;
-        const codeBlockMatch = text.match(/```(?:json)?\s*({[\s\S]*?})\s*```/);
-        if (codeBlockMatch) {
-          jsonText = codeBlockMatch[1];
-        } else {
-          // Try to find JSON object without code blocks
-          const jsonMatch = text.match(/({[\s\S]*?})/);
-          if (jsonMatch) {
-            jsonText = jsonMatch[1];
-          }
-        }
-        
-        // Try to repair truncated JSON
-        if (!jsonText.endsWith('}')) {
-          console.warn('[JSON] Response appears truncated, attempting repair');
-          // Count unclosed brackets and quotes
-          const openBraces = (jsonText.match(/{/g) || []).length;
-          const closeBraces = (jsonText.match(/}/g) || []).length;
-          const openBrackets = (jsonText.match(/\[/g) || []).length;
-          const closeBrackets = (jsonText.match(/\]/g) || []).length;
-          
-          // Add missing closing characters
-          for (let i = 0; i < openBrackets - closeBrackets; i++) {
-            jsonText += ']';
-          }
-          for (let i = 0; i < openBraces - closeBraces; i++) {
-            jsonText += '}';
-          }
-          
-          // Remove trailing incomplete entries
-          jsonText = jsonText.replace(/,\s*$/, '');
-          jsonText = jsonText.replace(/,\s*[\]}]+$/, (match) => match.substring(1));
-        }
-        
-        // Clean up common JSON formatting issues
-        jsonText = jsonText
-          // Fix unescaped quotes in string values
-          .replace(/"([^"]*)"([^"]*)"([^"]*)":/g, (match, p1, p2, p3) => {
-            // This is a property name, don't modify
-            return match;
-          })
-          .replace(/: "([^"]*)"([^"]*)"([^"]*)",/g, (match, p1, p2, p3) => {
-            // This is a string value with unescaped quotes
-            return `: "${p1}\\"${p2}\\"${p3}",`;
-          })
-          .replace(/: "([^"]*)"([^"]*)"([^"]*)"$/gm, (match, p1, p2, p3) => {
-            // This is a string value at end of line with unescaped quotes
-            return `: "${p1}\\"${p2}\\"${p3}"`;
-          })
-          // Fix trailing commas
-          .replace(/,(\s*[}\]])/g, '$1')
-          // Fix extra spaces
-          .trim();
-        
-        return JSON.parse(jsonText);
-        
-      } catch (e2) {
-        console.warn('[JSON] fallback parse also failed', e2, 'text:', text); 
-        return null;
+        parts.push(new Intl.NumberFormat(undefined, { style: 'currency', currency: metadata.currency || 'USD' }).format(metadata.price));
+      } catch {
+        parts.push(`${metadata.currency || ''} ${metadata.price}`.trim());
       }
-    } 
+    }
+    if (metadata.readingMinutes) parts.push(`${metadata.readingMinutes} min read`);
+    if (metadata.pageCount) parts.push(`${metadata.pageCount} ${pluralize('page', metadata.pageCount)}`);
+    return parts.join(' · ');
+  }
+
+  function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} ${pluralize('hour', hours)} ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} ${pluralize('day', days)} ago`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
+
+  async function renderStorageStats() {
+    try {
+      const { stores, totalBytes, budget } = await getStorageStats();
+      const rows = [
+        ['Summaries', stores[SUMMARY_STORE]],
+        ['Page text', stores[FULL_TEXT_STORE]],
+        ['History', stores[HISTORY_STORE]],
+        ['Keyword index', stores[SEARCH_INDEX_STORE]],
+        ['Content index', stores[CONTENT_INDEX_STORE]]
+      ];
+      storageStats.innerHTML = '';
+      for (const [label, { bytes, count }] of rows) {
+        const row = document.createElement('div');
+        row.textContent = `${label}: ${formatBytes(bytes)} (${count})`;
+        storageStats.appendChild(row);
+      }
+      const total = document.createElement('div');
+      total.textContent = `Total: ${formatBytes(totalBytes)} of ${formatBytes(budget)}`;
+      storageStats.appendChild(total);
+    } catch (e) {
+      console.warn('[Storage] Failed to read storage stats:', e);
+      storageStats.textContent = 'Storage usage unavailable';
+    }
+  }
+
   function setStatus(msg, cls) { status.textContent = msg; status.className = cls || ''; }
   function truncate(s, n) { if (!s) return ''; return s.length > n ? s.slice(0, n - 1) + '…' : s; }
   
@@ -0,0 +1,342 @@
+/**
+ * AI Tab Navigator - Structured Query Parser
+ *
+ * Power-user syntax that can be mixed with natural language:
+ * - site:github.com          tabs on a host (subdomains included) or host/path prefix
+ * - -youtube, -"live stream" exclude tabs containing a word or phrase
+ * - "exact phrase"           tab must contain the phrase as written
+ * - react OR vue, react | vue either word is enough (binds tighter than the implicit AND)
+ * - window:current           tabs in the popup's window (also: other, or a window id)
+ * - pinned:true, audible:true
+ * - group:"Research"         tabs in a tab group by title (group:none for ungrouped tabs)
+ * - type:article             pages that declare a kind (article, product, video, recipe, ...)
+ * - author:"Jane Doe"        pages whose declared author contains the name
+ * - published:2024           pages published in a year, a month (2024-05), this-year, last-year
+ *                            or this-month
+ * - ( ... )                  grouping
+ *
+ * The query is parsed into an AST:
+ *   { type: 'and' | 'or', children: [node] }
+ *   { type: 'not', child: node }
+ *   { type: 'term' | 'phrase', value }
+ *   { type: 'filter', field, value }
+ *
+ * describeQuery() flattens the AST into the parts the search pipeline uses: structural filters
+ * that run against chrome.tabs data before scoring, exclusions, and the free-text clauses
+ * that go to the AI or keyword scorer.
+ */
+
+const QUERY_FILTER_FIELDS = new Set(['site', 'window', 'pinned', 'audible', 'group', 'type', 'author', 'published']);
+
+function lexSearchQuery(query) {
+  const tokens = [];
+  const text = query || '';
+  let i = 0;
+
+  const readQuoted = () => {
+    // Assumes text[i] is the opening quote; an unterminated quote runs to the end
+    const end = text.indexOf('"', i + 1);
+    const value = text.slice(i + 1, end === -1 ? text.length : end);
+    i = end === -1 ? text.length : end + 1;
+    return value.trim();
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(') { tokens.push({ kind: 'lparen' }); i++; continue; }
+    if (ch === ')') { tokens.push({ kind: 'rparen' }); i++; continue; }
+    if (ch === '|') { tokens.push({ kind: 'or' }); i++; continue; }
+
+    if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ kind: 'not' });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const value = readQuoted();
+      if (value) tokens.push({ kind: 'phrase', value });
+      continue;
+    }
+
+    // Plain word, possibly field:value or field:"quoted value"
+    let word = '';
+    while (i < text.length && !/[\s()"]/.test(text[i])) word += text[i++];
+
+    const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+    if (fieldMatch && QUERY_FILTER_FIELDS.has(fieldMatch[1].toLowerCase())) {
+      let value = fieldMatch[2];
+      if (!value && text[i] === '"') value = readQuoted();
+      if (value) {
+        tokens.push({ kind: 'filter', field: fieldMatch[1].toLowerCase(), value });
+        continue;
+      }
+    }
+
+    if (word === 'OR') {
+      tokens.push({ kind: 'or' });
+    } else if (word) {
+      tokens.push({ kind: 'term', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+// OR binds tighter than the implicit AND, like web search engines:
+// "react OR vue tutorial" means (react OR vue) AND tutorial
+function parseSearchQuery(query) {
+  const tokens = lexSearchQuery(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (!token) return null;
+
+    if (token.kind === 'not') {
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.kind === 'lparen') {
+      const inner = parseAnd();
+      if (peek()?.kind === 'rparen') pos++;
+      return inner;
+    }
+    if (token.kind === 'phrase') return { type: 'phrase', value: token.value };
+    if (token.kind === 'filter') return { type: 'filter', field: token.field, value: token.value };
+    if (token.kind === 'term') return { type: 'term', value: token.value };
+
+    // Stray 'OR' - skip it
+    return null;
+  };
+
+  const parseOr = () => {
+    const children = [];
+    const first = parseUnary();
+    if (first) children.push(first);
+    while (peek()?.kind === 'or') {
+      pos++;
+      if (pos >= tokens.length || peek().kind === 'rparen') break;
+      const next = parseUnary();
+      if (next) children.push(next);
+    }
+    if (!children.length) return null;
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (pos < tokens.length && peek().kind !== 'rparen') {
+      const node = parseOr();
+      if (node) children.push(node);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const children = [];
+  while (pos < tokens.length) {
+    const node = parseAnd();
+    if (node.type === 'and') children.push(...node.children);
+    else children.push(node);
+    // Skip an unbalanced ')'
+    if (peek()?.kind === 'rparen') pos++;
+  }
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+// Plain text for a subtree made only of terms and phrases, or null if it contains anything else
+function getNodeText(node) {
+  if (node.type === 'term') return node.value;
+  if (node.type === 'phrase') return `"${node.value}"`;
+  if (node.type === 'and') {
+    const parts = node.children.map(getNodeText);
+    return parts.every(part => part !== null) ? parts.join(' ') : null;
+  }
+  return null;
+}
+
+function isFilterOnly(node) {
+  if (node.type === 'filter') return true;
+  if (node.type === 'not') return isFilterOnly(node.child);
+  if (node.type === 'and' || node.type === 'or') return node.children.length > 0 && node.children.every(isFilterOnly);
+  return false;
+}
+
+/**
+ * Flatten a parsed query into:
+ * - filters:     filter-only subtrees, all of which must match (run before scoring)
+ * - excludes:    [{ value, phrase }] words/phrases that remove a tab
+ * - phrases:     phrases the tab must contain
+ * - clauses:     [{ alternatives: [text], phrase }] free-text clauses for the scorer;
+ *                a clause matches when any alternative does
+ * - text:        the free-text part of the query for the AI scorer
+ */
+function describeQuery(ast) {
+  const description = { filters: [], excludes: [], phrases: [], clauses: [], text: '' };
+  const textParts = [];
+
+  const topLevel = ast.type === 'and' ? ast.children : [ast];
+
+  for (const node of topLevel) {
+    if (isFilterOnly(node)) {
+      description.filters.push(node);
+      continue;
+    }
+
+    if (node.type === 'not') {
+      const text = getNodeText(node.child);
+      if (text !== null) {
+        description.excludes.push({ value: text.replace(/"/g, ''), phrase: node.child.type === 'phrase' });
+      } else {
+        console.warn('[QueryParser] Ignoring unsupported exclusion:', node);
+      }
+      continue;
+    }
+
+    if (node.type === 'term') {
+      description.clauses.push({ alternatives: [node.value], phrase: false });
+      textParts.push(node.value);
+      continue;
+    }
+
+    if (node.type === 'phrase') {
+      description.phrases.push(node.value);
+      description.clauses.push({ alternatives: [node.value], phrase: true });
+      textParts.push(`"${node.value}"`);
+      continue;
+    }
+
+    if (node.type === 'or') {
+      // Filters mixed into an OR cannot be applied before scoring, so only the text sides are kept
+      const alternatives = node.children.map(getNodeText).filter(Boolean);
+      if (alternatives.length < node.children.length) {
+        console.warn('[QueryParser] Ignoring filters inside OR with free text:', node);
+      }
+      if (alternatives.length) {
+        description.clauses.push({ alternatives: alternatives.map(alt => alt.replace(/"/g, '')), phrase: false });
+        textParts.push(alternatives.join(' OR '));
+      }
+      continue;
+    }
+
+    if (node.type === 'and') {
+      // Parenthesized group without OR - same as writing the words inline
+      const nested = describeQuery(node);
+      description.filters.push(...nested.filters);
+      description.excludes.push(...nested.excludes);
+      description.phrases.push(...nested.phrases);
+      description.clauses.push(...nested.clauses);
+      if (nested.text) textParts.push(nested.text);
+    }
+  }
+
+  description.text = textParts.join(' ').trim();
+  return description;
+}
+
+function formatQueryFilter(node) {
+  if (node.type === 'filter') return /\s/.test(node.value) ? `${node.field}:"${node.value}"` : `${node.field}:${node.value}`;
+  if (node.type === 'not') return `-${formatQueryFilter(node.child)}`;
+  if (node.type === 'or') return node.children.map(formatQueryFilter).join(' OR ');
+  if (node.type === 'and') return node.children.map(formatQueryFilter).join(' ');
+  return '';
+}
+
+function parseBooleanFilter(value) {
+  const v = String(value).toLowerCase();
+  if (['true', 'yes', '1', 'on'].includes(v)) return true;
+  if (['false', 'no', '0', 'off'].includes(v)) return false;
+  return null;
+}
+
+function matchesPublishedFilter(value, publishedAt, now = new Date()) {
+  const date = new Date(publishedAt || NaN);
+  if (isNaN(date)) return false;
+
+  const year = date.getFullYear();
+  if (value === 'this-year') return year === now.getFullYear();
+  if (value === 'last-year') return year === now.getFullYear() - 1;
+  if (value === 'this-month') return year === now.getFullYear() && date.getMonth() === now.getMonth();
+
+  const match = value.match(/^(\d{4})(?:-(\d{1,2}))?$/);
+  if (!match) return true;
+  return year === Number(match[1]) && (!match[2] || date.getMonth() + 1 === Number(match[2]));
+}
+
+// context.pageMetadata: Map tabId -> metadata of the tab's summary (see extractPageMetadata)
+function matchesFilterNode(node, tab, context) {
+  if (node.type === 'and') return node.children.every(child => matchesFilterNode(child, tab, context));
+  if (node.type === 'or') return node.children.some(child => matchesFilterNode(child, tab, context));
+  if (node.type === 'not') return !matchesFilterNode(node.child, tab, context);
+  if (node.type !== 'filter') return true;
+
+  const value = node.value.toLowerCase();
+
+  switch (node.field) {
+    case 'site': {
+      let u;
+      try { u = new URL(tab.url || ''); } catch { return false; }
+      const host = u.hostname.toLowerCase().replace(/^www\./, '');
+      const [siteHost, ...pathParts] = value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split('/');
+      const hostMatches = host === siteHost || host.endsWith('.' + siteHost);
+      if (!hostMatches) return false;
+      const sitePath = pathParts.join('/');
+      return !sitePath || u.pathname.toLowerCase().replace(/^\//, '').startsWith(sitePath);
+    }
+    case 'window': {
+      if (value === 'current') return tab.windowId === context.currentWindowId;
+      if (value === 'other') return tab.windowId !== context.currentWindowId;
+      return String(tab.windowId) === value;
+    }
+    case 'pinned': {
+      const expected = parseBooleanFilter(value);
+      return expected === null ? true : !!tab.pinned === expected;
+    }
+    case 'audible': {
+      const expected = parseBooleanFilter(value);
+      return expected === null ? true : !!tab.audible === expected;
+    }
+    case 'group': {
+      if (value === 'none') return tab.groupId === undefined || tab.groupId === -1;
+      const title = (context.groupTitles?.get(tab.groupId) || '').toLowerCase();
+      return !!title && (title === value || title.includes(value));
+    }
+    case 'type': {
+      const kind = context.pageMetadata?.get(tab.id)?.kind;
+      // "articles" works as well as "article"
+      return !!kind && (kind === value || kind === value.replace(/s$/, ''));
+    }
+    case 'author': {
+      const author = (context.pageMetadata?.get(tab.id)?.author || '').toLowerCase();
+      return !!author && author.includes(value);
+    }
+    case 'published':
+      return matchesPublishedFilter(value, context.pageMetadata?.get(tab.id)?.publishedAt);
+    default:
+      return true;
+  }
+}
+
+// Does a tab pass every structural filter in the description?
+function matchesQueryFilters(description, tab, context) {
+  return description.filters.every(node => matchesFilterNode(node, tab, context));
+}
+
+// Does a summary-like doc ({ title, url, tags, summary, content? }) contain a word or phrase?
+function docContainsText(doc, value, phrase) {
+  const outline = (doc.outline || []).map(section => `${section.heading} ${section.summary}`).join(' ');
+  const haystack = [doc.title, doc.url, (doc.tags || []).join(' '), doc.summary, outline, doc.content]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  if (phrase) return haystack.includes(value.toLowerCase());
+
+  const docTerms = new Set(tokenizeText(haystack).map(normalizeTerm));
+  const terms = tokenizeText(value).map(normalizeTerm);
+  return terms.length > 0 && terms.every(term => docTerms.has(term));
+}
@@ -0,0 +1,47 @@
+/**
+ * AI Tab Navigator - Rank Fusion
+ *
+ * Reciprocal rank fusion (Cormack et al., 2009) merges the AI and keyword rankings into one
+ * ordering: every list a tab appears in adds weight / (k + rank). Ranks are used rather than
+ * raw scores because AI relevance (1-10) and BM25 or similarity scores are on different scales.
+ */
+
+const RRF_K = 60;
+
+// Search settings -> Ranking blend
+const FUSION_WEIGHT_PRESETS = {
+  ai: { ai: 1, keyword: 0.5 },
+  balanced: { ai: 1, keyword: 1 },
+  keyword: { ai: 0.5, keyword: 1 }
+};
+const DEFAULT_FUSION_PRESET = 'ai';
+
+/**
+ * rankings: { signal: [{ id, score }] }, each list best first
+ * weights:  { signal: number } (missing signals weigh 1)
+ *
+ * Returns [{ id, score, signals: { signal: { rank, score, contribution } } }] best first.
+ * Ties go to the tab found by more signals, then to the better single rank.
+ */
+function fuseRankings(rankings, weights = {}, k = RRF_K) {
+  const fused = new Map();
+
+  for (const [signal, ranking] of Object.entries(rankings)) {
+    const weight = weights[signal] ?? 1;
+    ranking.forEach((item, index) => {
+      const rank = index + 1;
+      const contribution = weight / (k + rank);
+      if (!fused.has(item.id)) fused.set(item.id, { id: item.id, score: 0, signals: {}, bestRank: Infinity });
+      const entry = fused.get(item.id);
+      entry.score += contribution;
+      entry.signals[signal] = { rank, score: item.score, contribution };
+      entry.bestRank = Math.min(entry.bestRank, rank);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score
+      || Object.keys(b.signals).length - Object.keys(a.signals).length
+      || a.bestRank - b.bestRank)
+    .map(({ id, score, signals }) => ({ id, score, signals }));
+}
@@ -0,0 +1,538 @@
+/**
+ * AI Tab Navigator - Keyword Search Index
+ *
+ * Inverted index over tab title, URL parts, tags, summary, the section outline of long pages
+ * (see summarizeLongPage) and (optionally) full page text,
+ * scored with a field-weighted BM25 (BM25F). Searches run on a plain in-memory object, built
+ * from per-doc records in IndexedDB that the popup and the service worker share (see
+ * loadStoredIndex).
+ *
+ * Shape:
+ * - docs:        docId -> { sig, language, lengths: { field: tokenCount }, terms: [term] }
+ * - postings:    term  -> { docId: { field: termFrequency } }
+ * - surfaces:    term  -> a word as it appeared on the page (for readable match reasons)
+ * - fieldTotals: field -> total token count across all docs (for average field length)
+ */
+
+const SEARCH_INDEX_VERSION = 5;
+
+// chrome.storage.local key the whole index was kept under before it moved to IndexedDB
+const SEARCH_INDEX_STORAGE_KEY = 'searchIndex';
+
+// Per-field boost and length normalization. Boosts keep the old fallback ordering
+// (tags > title > content > summary > url).
+const SEARCH_INDEX_FIELDS = {
+  title: { weight: 5, b: 0.6 },
+  tags: { weight: 7, b: 0.3 },
+  summary: { weight: 3, b: 0.75 },
+  url: { weight: 1, b: 0.5 },
+  content: { weight: 4, b: 0.75 },
+  outline: { weight: 2, b: 0.75 }
+};
+
+const BM25_K1 = 1.2;
+
+// Fuzzy matching only looks at short, high-signal fields where typos are likely to be noticed
+const FUZZY_FIELDS = new Set(['title', 'tags', 'url']);
+
+// Max edits allowed per tolerance level, by query term length
+const FUZZY_TOLERANCE_LEVELS = {
+  off: [],
+  low: [{ minLength: 5, edits: 1 }],
+  high: [{ minLength: 4, edits: 1 }, { minLength: 8, edits: 2 }]
+};
+const DEFAULT_FUZZY_TOLERANCE = 'low';
+
+// Fields written by the summarizer, which always answers in English; the other fields are
+// stemmed in the tab's own language
+const SUMMARIZER_FIELDS = new Set(['summary', 'tags', 'outline']);
+
+// URL tokens that appear on nearly every tab and carry no meaning
+const URL_NOISE_TOKENS = new Set(['www', 'com', 'org', 'net', 'html', 'htm', 'php', 'aspx', 'index']);
+
+function createSearchIndex() {
+  const fieldTotals = {};
+  for (const field of Object.keys(SEARCH_INDEX_FIELDS)) fieldTotals[field] = 0;
+  return { version: SEARCH_INDEX_VERSION, docCount: 0, docs: {}, postings: {}, surfaces: {}, fieldTotals };
+}
+
+// Lowercase and split on anything that is not a letter or digit (keeps non-English letters)
+function tokenizeText(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= 2 && token.length <= 40);
+}
+
+// Reduce a token to the form stored in the index (see stemmer.js)
+function normalizeTerm(token, language = 'en') {
+  return stemWord(token, language);
+}
+
+// A query word stemmed for each language in play; indexed terms match any of them
+function getTermVariants(token, languages) {
+  return [...new Set(languages.map(language => normalizeTerm(token, language)))];
+}
+
+function getUrlTokens(url) {
+  let raw = url || '';
+  try {
+    const u = new URL(url || '');
+    raw = `${u.hostname} ${u.pathname}`;
+  } catch {}
+  return tokenizeText(raw).filter(token => !URL_NOISE_TOKENS.has(token));
+}
+
+function getFieldTokens(field, value) {
+  if (field === 'url') return getUrlTokens(value);
+  if (field === 'tags') return (value || []).flatMap(tag => tokenizeText(tag));
+  if (field === 'outline') return (value || []).flatMap(section => tokenizeText(`${section.heading} ${section.summary} ${(section.tags || []).join(' ')}`));
+  return tokenizeText(value);
+}
+
+// Cheap stable signature so unchanged docs are not re-indexed
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function getDocumentSignature(fields) {
+  return hashString(JSON.stringify([
+    fields.title || '',
+    fields.url || '',
+    fields.tags || [],
+    fields.summary || '',
+    fields.content || '',
+    fields.outline || [],
+    fields.language || ''
+  ]));
+}
+
+/**
+ * A doc's terms as stored, one record per doc (see loadStoredIndex):
+ * { key: docId, version, sig, language, lengths: { field: tokenCount }, frequencies: { term: { field: tf } }, surfaces: { term: word } }
+ */
+function createIndexRecord(docId, fields, sig = getDocumentSignature(fields)) {
+  const language = fields.language || 'en';
+  const lengths = {};
+  const frequencies = new Map(); // term -> { field: tf }
+  const surfaces = new Map();
+
+  for (const field of Object.keys(SEARCH_INDEX_FIELDS)) {
+    const tokens = getFieldTokens(field, fields[field]);
+    if (!tokens.length) continue;
+    lengths[field] = tokens.length;
+
+    const fieldLanguage = SUMMARIZER_FIELDS.has(field) ? 'en' : language;
+    for (const token of tokens) {
+      const term = normalizeTerm(token, fieldLanguage);
+      if (!surfaces.has(term)) surfaces.set(term, token);
+      if (!frequencies.has(term)) frequencies.set(term, {});
+      const tf = frequencies.get(term);
+      tf[field] = (tf[field] || 0) + 1;
+    }
+  }
+
+  return {
+    key: String(docId),
+    version: SEARCH_INDEX_VERSION,
+    sig,
+    language,
+    lengths,
+    frequencies: Object.fromEntries(frequencies),
+    surfaces: Object.fromEntries(surfaces)
+  };
+}
+
+// Add a doc record to an index, replacing the doc's earlier terms. Props other than the terms
+// (like the content index's url) are kept on the doc
+function indexAddRecord(index, record) {
+  const { key, version, frequencies, surfaces, size, lastUsed, ...doc } = record;
+  const id = String(key);
+  indexRemoveDocument(index, id);
+
+  for (const [field, length] of Object.entries(doc.lengths)) {
+    index.fieldTotals[field] = (index.fieldTotals[field] || 0) + length;
+  }
+  for (const [term, tf] of Object.entries(frequencies)) {
+    if (!index.surfaces[term]) index.surfaces[term] = surfaces[term];
+    if (!index.postings[term]) index.postings[term] = {};
+    index.postings[term][id] = tf;
+  }
+
+  index.docs[id] = { ...doc, terms: Object.keys(frequencies) };
+  index.docCount++;
+}
+
+function indexAddDocument(index, docId, fields) {
+  const sig = getDocumentSignature(fields);
+  if (index.docs[String(docId)]?.sig === sig) return false;
+  indexAddRecord(index, createIndexRecord(docId, fields, sig));
+  return true;
+}
+
+function indexRemoveDocument(index, docId) {
+  const id = String(docId);
+  const doc = index.docs[id];
+  if (!doc) return false;
+
+  for (const term of doc.terms) {
+    const posting = index.postings[term];
+    if (!posting) continue;
+    delete posting[id];
+    if (!Object.keys(posting).length) {
+      delete index.postings[term];
+      delete index.surfaces[term];
+    }
+  }
+  for (const [field, length] of Object.entries(doc.lengths)) {
+    index.fieldTotals[field] = Math.max(0, (index.fieldTotals[field] || 0) - length);
+  }
+
+  delete index.docs[id];
+  index.docCount = Math.max(0, index.docCount - 1);
+  return true;
+}
+
+/**
+ * Add the fields another index holds for the same doc ids (e.g. page content, which is kept in
+ * its own index) to the docs of this one; docs not in this index are skipped. Meant for a
+ * throwaway copy, since doc signatures are not updated.
+ */
+function indexMergeFields(index, other) {
+  for (const [id, doc] of Object.entries(other.docs)) {
+    const target = index.docs[id];
+    if (!target) continue;
+
+    for (const term of doc.terms) {
+      const tf = other.postings[term]?.[id];
+      if (!tf) continue;
+      if (!index.postings[term]) index.postings[term] = {};
+      index.postings[term][id] = { ...index.postings[term][id], ...tf };
+      if (!index.surfaces[term]) index.surfaces[term] = other.surfaces[term];
+    }
+    target.terms = [...new Set([...target.terms, ...doc.terms])];
+    for (const [field, length] of Object.entries(doc.lengths)) {
+      index.fieldTotals[field] = (index.fieldTotals[field] || 0) + length - (target.lengths[field] || 0);
+      target.lengths[field] = length;
+    }
+  }
+}
+
+// Whether every word of a text is among a doc's indexed terms (word order is not kept)
+function indexDocHasTerms(index, docId, text) {
+  const doc = index.docs[String(docId)];
+  const tokens = tokenizeText(text);
+  if (!doc || !tokens.length) return false;
+  const terms = new Set(doc.terms);
+  return tokens.every(token => getTermVariants(token, [doc.language || 'en', 'en']).some(term => terms.has(term)));
+}
+
+// Languages of the indexed tabs, English always included (summaries are English)
+function getIndexLanguages(index) {
+  const languages = new Set(['en']);
+  for (const doc of Object.values(index.docs)) {
+    if (doc.language) languages.add(doc.language);
+  }
+  return [...languages];
+}
+
+function cloneSearchIndex(index) {
+  return structuredClone(index);
+}
+
+function getMaxEdits(termLength, tolerance) {
+  const levels = FUZZY_TOLERANCE_LEVELS[tolerance] || [];
+  let edits = 0;
+  for (const level of levels) {
+    if (termLength >= level.minLength) edits = level.edits;
+  }
+  return edits;
+}
+
+function getTrigrams(term) {
+  const padded = `  ${term} `;
+  const trigrams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) trigrams.add(padded.slice(i, i + 3));
+  return trigrams;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+// Gives up early and returns maxDistance + 1 once the distance is known to exceed maxDistance.
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// Indexed terms within the allowed edit distance of a (misspelled) query term
+function findFuzzyTerms(index, term, tolerance) {
+  const maxEdits = getMaxEdits(term.length, tolerance);
+  if (!maxEdits) return [];
+
+  const queryTrigrams = getTrigrams(term);
+  const matches = [];
+
+  for (const indexed of Object.keys(index.postings)) {
+    if (Math.abs(indexed.length - term.length) > maxEdits) continue;
+
+    // An edit changes at most 4 trigrams (a transposition), so a real match must share the rest
+    const indexedTrigrams = getTrigrams(indexed);
+    let shared = 0;
+    for (const trigram of queryTrigrams) {
+      if (indexedTrigrams.has(trigram)) shared++;
+    }
+    if (shared < queryTrigrams.size - 4 * maxEdits) continue;
+
+    const edits = getEditDistance(term, indexed, maxEdits);
+    if (edits <= maxEdits) matches.push({ term: indexed, edits });
+  }
+
+  return matches;
+}
+
+// Fuzzy hits always rank below exact hits; two edits rank below one
+function getFuzzyScoreFactor(edits) {
+  return Math.max(0.2, 0.8 - 0.2 * edits);
+}
+
+function getInverseDocumentFrequency(index, term) {
+  const df = Object.keys(index.postings[term] || {}).length;
+  return Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Score documents against a list of query clauses.
+ * A clause is a keyword, or an array of alternative keywords (e.g. "react OR vue") where the
+ * best-scoring alternative counts. An alternative can also be { text, weight, synonymFor }
+ * to score an expanded term below the literal one (see synonyms.js).
+ * Each keyword may tokenize into several terms (e.g. a
+ * "#web-development" tag); a keyword only counts as matched when all of its terms are present
+ * in the searched fields.
+ *
+ * Options:
+ * - fields: fields to search (default: all)
+ * - docIds: restrict scoring to these doc ids
+ * - prefix: also match indexed terms that start with a query term (min 3 chars)
+ * - fuzzy: typo tolerance ('off' | 'low' | 'high') for terms that have no exact match in the index
+ * - languages: languages to stem query words in (default: every language in the index)
+ *
+ * Returns [{ id, score, matchedClauses, matchedKeywords, matchedFields, fuzzyMatches, synonymMatches }]
+ * sorted by score, best first. fuzzyMatches maps a typed keyword to the indexed word it was
+ * corrected to; synonymMatches maps a typed keyword to the synonym that matched instead.
+ */
+function indexSearch(index, clauses, options = {}) {
+  const fields = options.fields || Object.keys(SEARCH_INDEX_FIELDS);
+  const allowed = options.docIds ? new Set([...options.docIds].map(String)) : null;
+  const languages = options.languages || getIndexLanguages(index);
+
+  const avgLengths = {};
+  for (const field of fields) {
+    avgLengths[field] = index.docCount ? (index.fieldTotals[field] || 0) / index.docCount : 0;
+  }
+
+  // Expand a query word to the indexed terms it should match: [{ term, factor, fuzzy }]
+  const expandToken = (token) => {
+    const variants = getTermVariants(token, languages);
+    const exact = new Set();
+    for (const term of variants) {
+      if (options.prefix && term.length >= 3) {
+        Object.keys(index.postings).filter(indexed => indexed.startsWith(term)).forEach(indexed => exact.add(indexed));
+      } else if (index.postings[term]) {
+        exact.add(term);
+      }
+    }
+    if (exact.size || !options.fuzzy) return [...exact].map(indexed => ({ term: indexed, factor: 1, fuzzy: false }));
+
+    // Fuzzy only when no variant matched exactly; keep the closest edit per indexed term
+    const fuzzy = new Map();
+    for (const term of variants) {
+      for (const { term: indexed, edits } of findFuzzyTerms(index, term, options.fuzzy)) {
+        if (!fuzzy.has(indexed) || edits < fuzzy.get(indexed)) fuzzy.set(indexed, edits);
+      }
+    }
+    return [...fuzzy].map(([indexed, edits]) => ({ term: indexed, factor: getFuzzyScoreFactor(edits), fuzzy: true }));
+  };
+
+  // Score one keyword: docId -> { score, fields: Set, correction } for docs containing all of its words
+  const scoreKeyword = (keyword) => {
+    const tokens = [...new Set(tokenizeText(keyword))];
+    const keywordHits = new Map(); // docId -> { score, fields: Set, termsMatched, corrections }
+    if (!tokens.length) return keywordHits;
+
+    for (const token of tokens) {
+      const termScores = new Map(); // docId -> { score, fields, correction }
+
+      for (const expansion of expandToken(token)) {
+        const idf = getInverseDocumentFrequency(index, expansion.term);
+
+        for (const [docId, tf] of Object.entries(index.postings[expansion.term])) {
+          if (allowed && !allowed.has(docId)) continue;
+          const doc = index.docs[docId];
+          if (!doc) continue;
+
+          let weightedTf = 0;
+          const matchedFields = [];
+          for (const field of fields) {
+            if (!tf[field]) continue;
+            if (expansion.fuzzy && !FUZZY_FIELDS.has(field)) continue;
+            const { weight, b } = SEARCH_INDEX_FIELDS[field];
+            const norm = avgLengths[field] ? 1 - b + b * ((doc.lengths[field] || 0) / avgLengths[field]) : 1;
+            weightedTf += weight * tf[field] / norm;
+            matchedFields.push(field);
+          }
+          if (!weightedTf) continue;
+
+          const score = expansion.factor * idf * (weightedTf * (BM25_K1 + 1)) / (weightedTf + BM25_K1);
+          const best = termScores.get(docId);
+          if (!best || score > best.score) {
+            const correction = expansion.fuzzy ? (index.surfaces[expansion.term] || expansion.term) : null;
+            termScores.set(docId, { score, fields: matchedFields, correction });
+          }
+        }
+      }
+
+      for (const [docId, { score, fields: matchedFields, correction }] of termScores) {
+        if (!keywordHits.has(docId)) keywordHits.set(docId, { score: 0, fields: new Set(), termsMatched: 0, corrections: new Map() });
+        const entry = keywordHits.get(docId);
+        entry.score += score;
+        entry.termsMatched++;
+        matchedFields.forEach(field => entry.fields.add(field));
+        if (correction) entry.corrections.set(token, correction);
+      }
+    }
+
+    for (const [docId, entry] of keywordHits) {
+      if (entry.termsMatched < tokens.length) {
+        keywordHits.delete(docId);
+        continue;
+      }
+      entry.correction = entry.corrections.size
+        ? tokens.map(token => entry.corrections.get(token) || token).join(' ')
+        : null;
+    }
+    return keywordHits;
+  };
+
+  // docId -> { score, matchedClauses, matchedKeywords: Set, matchedFields: Set, fuzzyMatches, synonymMatches }
+  const hits = new Map();
+
+  for (const clause of clauses) {
+    const alternatives = Array.isArray(clause) ? clause : [clause];
+
+    // docId -> best { keyword, synonym, score, fields, correction } among the alternatives
+    const clauseHits = new Map();
+    for (const alternative of alternatives) {
+      const { text, weight = 1, synonymFor = null } = typeof alternative === 'string' ? { text: alternative } : alternative;
+      for (const [docId, entry] of scoreKeyword(text)) {
+        const score = entry.score * weight;
+        const best = clauseHits.get(docId);
+        if (!best || score > best.score) {
+          clauseHits.set(docId, { ...entry, score, keyword: synonymFor || text, synonym: synonymFor ? text : null });
+        }
+      }
+    }
+
+    for (const [docId, entry] of clauseHits) {
+      if (!hits.has(docId)) {
+        hits.set(docId, { score: 0, matchedClauses: 0, matchedKeywords: new Set(), matchedFields: new Set(), fuzzyMatches: {}, synonymMatches: {} });
+      }
+      const hit = hits.get(docId);
+      hit.score += entry.score;
+      hit.matchedClauses++;
+      hit.matchedKeywords.add(entry.keyword);
+      entry.fields.forEach(field => hit.matchedFields.add(field));
+      if (entry.correction) hit.fuzzyMatches[entry.keyword] = entry.correction;
+      if (entry.synonym) hit.synonymMatches[entry.keyword] = entry.synonym;
+    }
+  }
+
+  return [...hits.entries()]
+    .map(([docId, hit]) => ({
+      id: Number(docId),
+      score: hit.score,
+      matchedClauses: hit.matchedClauses,
+      matchedKeywords: [...hit.matchedKeywords],
+      matchedFields: [...hit.matchedFields],
+      fuzzyMatches: hit.fuzzyMatches,
+      synonymMatches: hit.synonymMatches
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keep results that match enough of the query's clauses and are not far behind the best hit.
+ * Replaces the old fixed "2 points per word" threshold, which did not scale with BM25 scores.
+ */
+function filterSearchResults(results, clauseCount, { minCoverage = 0.5, minRelativeScore = 0.2 } = {}) {
+  if (!results.length) return [];
+  const minMatched = Math.max(1, Math.ceil(clauseCount * minCoverage));
+  const bestScore = results[0].score;
+  return results.filter(r => r.matchedClauses >= minMatched && r.score >= bestScore * minRelativeScore);
+}
+
+/**
+ * An index kept in IndexedDB as one record per doc (see createIndexRecord), so the popup and the
+ * service worker only ever write the docs they changed and cannot undo each other's updates.
+ * Records from an older index version are skipped; their docs are indexed again when next seen.
+ */
+async function loadStoredIndex(storeName) {
+  const index = createSearchIndex();
+  try {
+    for (const record of await storageGetAll(storeName)) {
+      if (record.version === SEARCH_INDEX_VERSION) indexAddRecord(index, record);
+    }
+  } catch (e) {
+    console.warn('[SearchIndex] Failed to load', storeName + ', starting over:', e);
+  }
+  return index;
+}
+
+async function loadSearchIndex() {
+  return loadStoredIndex(SEARCH_INDEX_STORE);
+}
+
+// Write { id, title, url, tags, summary, outline?, language? } docs to the keyword index, skipping
+// docs stored with the same text; returns how many were written
+async function updateSearchIndex(docs) {
+  if (!docs.length) return 0;
+  const stored = await storageGetMany(SEARCH_INDEX_STORE, docs.map(doc => String(doc.id)));
+  const records = [];
+  docs.forEach((doc, i) => {
+    const sig = getDocumentSignature(doc);
+    if (stored[i]?.version === SEARCH_INDEX_VERSION && stored[i].sig === sig) return;
+    records.push(createIndexRecord(doc.id, doc, sig));
+  });
+  if (records.length) await storagePut(SEARCH_INDEX_STORE, records);
+  return records.length;
+}
+
+// Drop docs for the given tab ids from the keyword index
+async function removeFromSearchIndex(docIds) {
+  await storageDelete(SEARCH_INDEX_STORE, docIds.map(String));
+}
@@ -1,61 +1,572 @@
-// Background script that monitors tab updates and clears stale summaries
+// Background script that monitors tab updates, clears stale summaries and summarizes tabs
+// from a persisted queue, so the work survives the popup closing
 
-chrome.runtime.onInstalled.addListener(() => {});
+importScripts('stemmer.js', 'language.js', 'search_index.js', 'vector_index.js', 'storage.js', 'content_index.js', 'summarizer.js', 'pdf_text.js');
+
+// Tab IDs waiting for extraction and summarization, in chrome.storage.local
+const SUMMARY_QUEUE_KEY = 'summaryQueue';
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// Summarize a tab this long after its last navigation event, so redirect chains and bursts of
+// SPA route changes are summarized once, after the page has settled
+const TAB_UPDATE_DEBOUNCE_MS = 3000;
+
+// A search left unfinished (popup closed mid-search) stops pausing the queue after this long
+const SEARCH_PAUSE_MAX_MS = 2 * 60 * 1000;
+
+// Open tabs are read again after this long (on the hourly cleanup sweep), so pages that change
+// without reloading, like boards and shared documents, get a new summary
+const CONTENT_RECHECK_MS = 30 * 60 * 1000;
+
+let isProcessingQueue = false;
+let creatingOffscreenDocument = null;
+const pendingTabUpdates = new Map(); // tabId -> debounce timer
+
+chrome.runtime.onInstalled.addListener(async () => {
+  try {
+    await migrateToIndexedDb();
+  } catch (e) {
+    console.warn('[Storage] Migration failed:', e);
+  }
+  enqueueTabsForSummary().catch(e => console.error('[Queue] Failed to queue tabs:', e));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  enqueueTabsForSummary().catch(e => console.error('[Queue] Failed to queue tabs:', e));
+});
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && changeInfo.url) {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    scheduleTabSummary(tabId);
+  }
+  
+  if (changeInfo.url) {
     try {
-      const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
-      const key = String(tabId);
-      
-      if (tabSummaries[key]) {
-        delete tabSummaries[key];
-        await chrome.storage.local.set({ tabSummaries });
-      }
+      await forgetTabSummary(tabId);
+      await removeFromContentIndex([tabId]);
     } catch (e) {}
   }
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  clearTimeout(pendingTabUpdates.get(tabId));
+  pendingTabUpdates.delete(tabId);
+  
   try {
-    const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
-    const key = String(tabId);
-    
-    if (tabSummaries[key]) {
-      delete tabSummaries[key];
-      await chrome.storage.local.set({ tabSummaries });
-    }
+    await forgetTabSummary(tabId);
+    // Closing the browser closes every window; the page text is kept for the restored tabs,
+    // and the next sweep drops it if they don't come back
+    if (!removeInfo.isWindowClosing) await removeFromContentIndex([tabId]);
   } catch (e) {}
 });
 
 chrome.alarms.create('cleanup-summaries', { periodInMinutes: 60 });
 
+// Picks the queue back up if the worker was stopped mid-batch
+chrome.alarms.create('process-summary-queue', { periodInMinutes: 1 });
+
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === 'process-summary-queue') {
+    await processSummaryQueue();
+  }
+  
   if (alarm.name === 'cleanup-summaries') {
     try {
-      const { tabSummaries = {} } = await chrome.storage.local.get('tabSummaries');
+      // Prunes old summaries and queues tabs opened since the last sweep
+      await enqueueTabsForSummary();
+      
+      // Closed tabs can linger in the keyword index if the popup never saw them go
       const tabs = await chrome.tabs.query({});
       const currentTabIds = new Set(tabs.map(t => t.id));
-      const now = Date.now();
-      const maxAgeMs = 24 * 60 * 60 * 1000;
-      
-      const cleanedSummaries = {};
-      
-      for (const [key, summary] of Object.entries(tabSummaries)) {
-        const tabId = parseInt(key);
-        if (currentTabIds.has(tabId) && (now - summary.timestamp) < maxAgeMs) {
-          cleanedSummaries[key] = summary;
-        }
-      }
-      
-      if (Object.keys(cleanedSummaries).length !== Object.keys(tabSummaries).length) {
-        await chrome.storage.local.set({ tabSummaries: cleanedSummaries });
-      }
+      const docIds = await storageGetAllKeys(SEARCH_INDEX_STORE);
+      await removeFromSearchIndex(docIds.filter(id => !currentTabIds.has(parseInt(id))));
     } catch (e) {}
   }
 });
 
+// A search pauses the queue so it has the model to itself; carry on once it ends, or when
+// the user resumes the queue from the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && changes.isSearching && !changes.isSearching.newValue) {
+    processSummaryQueue();
+  }
+  if (areaName === 'local' && changes[SUMMARY_PAUSED_KEY] && !changes[SUMMARY_PAUSED_KEY].newValue) {
+    processSummaryQueue();
+  }
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Handle any future background requests
+  if (request.action === 'summarizeTabs') {
+    enqueueTabsForSummary().catch(e => console.error('[Queue] Failed to queue tabs:', e));
+  }
+  
+  // From content_script.js: a single-page app navigated or its content changed a lot
+  if (request.action === 'pageContentChanged' && sender.tab?.id !== undefined) {
+    const tabId = sender.tab.id;
+    console.debug('[Queue] Page changed in tabId', tabId, '(' + request.reason + ')');
+    if (request.reason === 'navigation') {
+      forgetTabSummary(tabId).catch(() => {});
+      removeFromContentIndex([tabId]).catch(() => {});
+    }
+    scheduleTabSummary(tabId);
+  }
   sendResponse({ ok: true });
 });
+
+// A tab that closed or navigated no longer points at its page's summary; the summary stays
+// cached for other tabs of the same page
+async function forgetTabSummary(tabId) {
+  const key = String(tabId);
+  const {
+    [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys = {},
+    [TAB_CONTENT_KEY]: tabContent = {}
+  } = await chrome.storage.session.get([TAB_SUMMARY_KEYS_KEY, TAB_CONTENT_KEY]);
+  if (tabSummaryKeys[key] || tabContent[key]) {
+    delete tabSummaryKeys[key];
+    delete tabContent[key];
+    await chrome.storage.session.set({ [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys, [TAB_CONTENT_KEY]: tabContent });
+  }
+  await removeFromSearchIndex([key]);
+}
+
+// Summaries, search history and the keyword index used to live in single chrome.storage.local keys
+async function migrateToIndexedDb() {
+  const { summaryCache, searchHistoryByDate } = await chrome.storage.local.get(['summaryCache', 'searchHistoryByDate']);
+  if (summaryCache) {
+    await storagePut(SUMMARY_STORE, Object.entries(summaryCache).map(([key, entry]) => ({ key, ...entry })));
+  }
+  if (searchHistoryByDate) {
+    const records = Object.entries(searchHistoryByDate).flatMap(([day, items]) =>
+      (Array.isArray(items) ? items : []).map(item => ({ key: `${day} ${item.query}`, day, ...item })));
+    await storagePut(HISTORY_STORE, records);
+  }
+  await chrome.storage.local.remove(['tabSummaries', 'summaryCache', 'searchHistoryByDate', SEARCH_INDEX_STORAGE_KEY]);
+}
+
+// Drop summaries past their age and tab mappings of closed tabs
+async function pruneSummaryCache(tabs) {
+  const summaryCache = await loadSummaryCache();
+  const { [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys = {} } = await chrome.storage.session.get(TAB_SUMMARY_KEYS_KEY);
+  const currentTabIds = new Set(tabs.map(t => String(t.id)));
+  const now = Date.now();
+  
+  const cleanedCache = {};
+  const staleKeys = [];
+  for (const [key, entry] of Object.entries(summaryCache)) {
+    if (isFreshSummary(entry, now)) cleanedCache[key] = entry;
+    else staleKeys.push(key);
+  }
+  const cleanedKeys = {};
+  for (const [tabId, key] of Object.entries(tabSummaryKeys)) {
+    if (currentTabIds.has(tabId) && cleanedCache[key]) cleanedKeys[tabId] = key;
+  }
+  
+  await storageDelete(SUMMARY_STORE, staleKeys);
+  if (Object.keys(cleanedKeys).length !== Object.keys(tabSummaryKeys).length) {
+    await chrome.storage.session.set({ [TAB_SUMMARY_KEYS_KEY]: cleanedKeys });
+  }
+  return { summaryCache: cleanedCache, tabSummaryKeys: cleanedKeys };
+}
+
+// Tabs whose page is already summarized (a duplicate, or a tab restored after a restart) only
+// need indexing under their own tab ID
+async function indexCachedTabs(tabs, findCachedSummary) {
+  const docs = [];
+  for (const tab of tabs) {
+    const cached = findCachedSummary(tab);
+    if (cached) {
+      docs.push({ id: tab.id, title: tab.title || '', url: tab.url || '', summary: cached.summary, tags: cached.tags || [], outline: cached.outline, language: cached.language });
+    }
+  }
+  if (!docs.length) return;
+  
+  try {
+    await updateSearchIndex(docs);
+  } catch (e) {
+    console.warn('[SearchIndex] Failed to index cached summaries:', e);
+  }
+}
+
+// Queue every tab without a fresh summary or not read for a while, then work through the queue
+async function enqueueTabsForSummary() {
+  const allTabs = await chrome.tabs.query({});
+  const tabs = allTabs.filter(t => isReadableUrl(t.url));
+  const { summaryCache, tabSummaryKeys } = await pruneSummaryCache(tabs);
+  try {
+    await syncContentIndexTabs(allTabs);
+  } catch (e) {
+    console.warn('[ContentIndex] Failed to match the index to open tabs:', e);
+  }
+  const { [TAB_CONTENT_KEY]: tabContent = {} } = await chrome.storage.session.get(TAB_CONTENT_KEY);
+  const findCachedSummary = createSummaryLookup(summaryCache, tabSummaryKeys);
+  const now = Date.now();
+  
+  // Discarded tabs cannot change until they are reloaded, which queues them anyway, and PDF
+  // files don't change without a reload either
+  const needsRecheck = (tab) => !tab.discarded && !isPdfUrl(tab.url) && tabContent[tab.id]
+    && now - tabContent[tab.id].checkedAt > CONTENT_RECHECK_MS;
+  
+  await indexCachedTabs(tabs, findCachedSummary);
+  await addToSummaryQueue(tabs.filter(t => !findCachedSummary(t) || needsRecheck(t)).map(t => t.id));
+  await processSummaryQueue();
+}
+
+async function addToSummaryQueue(tabIds) {
+  const { [SUMMARY_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(SUMMARY_QUEUE_KEY);
+  const updatedQueue = [...new Set([...queue, ...tabIds])];
+  await chrome.storage.local.set({ [SUMMARY_QUEUE_KEY]: updatedQueue });
+  console.debug('[Queue] Tabs waiting for a summary:', updatedQueue.length);
+}
+
+// (Re)start the debounce timer for a tab that navigated or finished loading
+function scheduleTabSummary(tabId) {
+  clearTimeout(pendingTabUpdates.get(tabId));
+  pendingTabUpdates.set(tabId, setTimeout(() => {
+    pendingTabUpdates.delete(tabId);
+    enqueueLoadedTab(tabId).catch(e => console.error('[Queue] Failed to queue tab', tabId, e));
+  }, TAB_UPDATE_DEBOUNCE_MS));
+}
+
+// Queue a tab whose page has settled, so its summary is ready before the next search
+async function enqueueLoadedTab(tabId) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (e) {
+    return; // Closed while debouncing
+  }
+  
+  // Still loading: the 'complete' event will schedule it again
+  if (tab.status !== 'complete' || !isReadableUrl(tab.url)) return;
+  
+  // Index any cached summary right away; the tab is still read again, since a reload can bring
+  // new content under the same URL (summarizeTabs decides whether it needs a new summary)
+  const summaryCache = await loadSummariesForUrls([normalizeUrl(tab.url)]);
+  const { [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys = {} } = await chrome.storage.session.get(TAB_SUMMARY_KEYS_KEY);
+  await indexCachedTabs([tab], createSummaryLookup(summaryCache, tabSummaryKeys));
+  
+  console.debug('[Queue] Tab finished loading, queueing tabId', tabId);
+  await addToSummaryQueue([tabId]);
+  await processSummaryQueue();
+}
+
+// Scheduling tiers: the window in use, then other windows, then discarded tabs (which only
+// give up their title and URL until they are reloaded)
+function getSummaryTier(tab, focusedWindowId) {
+  if (tab.discarded) return 2;
+  return tab.windowId === focusedWindowId ? 0 : 1;
+}
+
+// By tier, then most recently used, then most recently opened (tab IDs only grow)
+function prioritizeTabs(tabs, focusedWindowId) {
+  return [...tabs].sort((a, b) =>
+    getSummaryTier(a, focusedWindowId) - getSummaryTier(b, focusedWindowId)
+    || (b.lastAccessed || 0) - (a.lastAccessed || 0)
+    || b.id - a.id);
+}
+
+/**
+ * Summarize queued tabs one batch at a time, highest priority first. A batch leaves the queue
+ * only once its summaries are saved, so a worker stopped mid-batch redoes it on the next alarm.
+ * Progress goes to chrome.storage.session 'summaryProgress'
+ * ({ state: 'running' | 'paused' | 'idle', done, total }) for the popup.
+ */
+async function processSummaryQueue() {
+  if (isProcessingQueue) return;
+  isProcessingQueue = true;
+  
+  try {
+    while (true) {
+      const { isSearching } = await chrome.storage.session.get('isSearching');
+      if (isSearching && Date.now() - isSearching.timestamp < SEARCH_PAUSE_MAX_MS) {
+        console.debug('[Queue] Search in progress, pausing');
+        return;
+      }
+      
+      const {
+        [SUMMARY_QUEUE_KEY]: queue = [],
+        [SUMMARY_PAUSED_KEY]: paused = false
+      } = await chrome.storage.local.get([SUMMARY_QUEUE_KEY, SUMMARY_PAUSED_KEY]);
+      const tabs = await chrome.tabs.query({});
+      const tabById = new Map(tabs.map(t => [t.id, t]));
+      const total = tabs.filter(t => isReadableUrl(t.url)).length;
+      
+      // Tabs closed or navigated to a restricted page since they were queued are dropped
+      const pending = queue.filter(id => tabById.has(id) && isReadableUrl(tabById.get(id).url));
+      if (!pending.length) {
+        if (queue.length) await chrome.storage.local.set({ [SUMMARY_QUEUE_KEY]: [] });
+        await chrome.storage.session.set({ summaryProgress: { state: 'idle', done: total, total } });
+        return;
+      }
+      
+      if (paused) {
+        console.debug('[Queue] Paused by the user');
+        await chrome.storage.session.set({ summaryProgress: { state: 'paused', done: total - pending.length, total } });
+        return;
+      }
+      
+      const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+      const ordered = prioritizeTabs(pending.map(id => tabById.get(id)), focusedWindow?.id);
+      const batch = ordered.slice(0, SUMMARY_BATCH_SIZE);
+      await chrome.storage.session.set({
+        summaryProgress: { state: 'running', done: total - pending.length + batch.length, total }
+      });
+      
+      await summarizeTabs(batch);
+      
+      // Re-read, tabs may have been queued while the batch ran
+      const finished = new Set(batch.map(t => t.id));
+      const { [SUMMARY_QUEUE_KEY]: latestQueue = [] } = await chrome.storage.local.get(SUMMARY_QUEUE_KEY);
+      await chrome.storage.local.set({ [SUMMARY_QUEUE_KEY]: latestQueue.filter(id => !finished.has(id)) });
+    }
+  } catch (e) {
+    console.error('[Queue] Summarization failed:', e);
+  } finally {
+    isProcessingQueue = false;
+  }
+}
+
+// The summary a tab showed before this read: its own mapping, else the newest for its URL
+async function findPreviousSummary(item, tabSummaryKeys, now) {
+  const ownKey = tabSummaryKeys[item.id];
+  const own = ownKey && await storageGet(SUMMARY_STORE, ownKey);
+  if (isFreshSummary(own, now) && own.url === normalizeUrl(item.url)) return own;
+  
+  const sameUrl = await storageGetAllByIndex(SUMMARY_STORE, 'url', normalizeUrl(item.url));
+  return sameUrl
+    .filter(entry => isFreshSummary(entry, now))
+    .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+}
+
+async function summarizeTabs(tabs) {
+  const now = Date.now();
+  const entries = {};
+  const tabKeys = {};
+  const tabContentUpdates = {};
+  const indexDocs = [];
+  
+  try {
+    const extracted = await extractTextFromTabs(tabs);
+    try {
+      await indexPageContent(extracted.filter(item => item.contentRead));
+    } catch (e) {
+      console.warn('[ContentIndex] Failed to index batch:', e);
+    }
+    const { [TAB_SUMMARY_KEYS_KEY]: previousKeys = {} } = await chrome.storage.session.get(TAB_SUMMARY_KEYS_KEY);
+    const existingCache = {};
+    for (const item of extracted) {
+      item.contentHash = await hashContent(item.text);
+      item.fingerprint = fingerprintContent(item.text);
+      item.cacheKey = getSummaryCacheKey(item.url, item.contentHash);
+      tabContentUpdates[item.id] = { contentHash: item.contentHash, fingerprint: item.fingerprint, checkedAt: now };
+      
+      const cached = await storageGet(SUMMARY_STORE, item.cacheKey);
+      if (isFreshSummary(cached, now)) {
+        existingCache[item.cacheKey] = cached;
+        continue;
+      }
+      
+      // Minor edits keep the summary of the earlier version; the popup marks it as changed
+      const previous = await findPreviousSummary(item, previousKeys, now);
+      const similarity = fingerprintSimilarity(previous?.fingerprint, item.fingerprint);
+      if (similarity >= CONTENT_SIMILARITY_THRESHOLD) {
+        item.cacheKey = previous.key;
+        existingCache[item.cacheKey] = previous;
+      } else if (previous) {
+        console.debug('[Queue] Content changed for tabId', item.id, '(similarity', similarity.toFixed(2) + '), summarizing again');
+      }
+    }
+    
+    // Each page version goes to the model once, however many tabs show it
+    const toSummarize = [...new Map(extracted
+      .filter(item => !isFreshSummary(existingCache[item.cacheKey], now))
+      .map(item => [item.cacheKey, item])).values()];
+    const summarized = toSummarize.length ? await summarizeInBackground(toSummarize) : [];
+    console.debug('[Queue] Summarized', summarized.length, 'pages,', extracted.length - toSummarize.length, 'tabs reused a cached summary');
+    
+    const itemById = new Map(toSummarize.map(item => [item.id, item]));
+    for (const summary of summarized) {
+      const { cacheKey, contentHash, fingerprint, metadata } = itemById.get(summary.id);
+      entries[cacheKey] = { 
+        url: normalizeUrl(summary.url), 
+        contentHash,
+        fingerprint,
+        summary: summary.summary, 
+        tags: summary.tags || [],
+        outline: summary.outline,
+        metadata,
+        language: summary.language,
+        vector: buildTabVector(summary),
+        timestamp: now
+      };
+    }
+    
+    for (const item of extracted) {
+      const entry = entries[item.cacheKey] || existingCache[item.cacheKey];
+      if (!entry) continue;
+      tabKeys[item.id] = item.cacheKey;
+      indexDocs.push({ id: item.id, title: item.title, url: item.url, summary: entry.summary, tags: entry.tags || [], outline: entry.outline, language: entry.language });
+    }
+  } catch (e) {
+    // Store fallback summaries for failed batch
+    console.warn('[Queue] Batch failed, using title/URL summaries:', e);
+    for (const tab of tabs) {
+      const fallbackSummary = `${tab.title || ''} ${tab.url || ''}`.trim() || tab.url || '';
+      const language = detectLanguage(tab.title);
+      const contentHash = await hashContent(fallbackSummary);
+      const fingerprint = fingerprintContent(fallbackSummary);
+      const cacheKey = getSummaryCacheKey(tab.url, contentHash);
+      entries[cacheKey] = { 
+        url: normalizeUrl(tab.url), 
+        contentHash,
+        fingerprint,
+        summary: fallbackSummary, 
+        tags: [],
+        language,
+        vector: buildTabVector({ title: tab.title, summary: fallbackSummary, language }),
+        timestamp: now
+      };
+      tabKeys[tab.id] = cacheKey;
+      tabContentUpdates[tab.id] = { contentHash, fingerprint, checkedAt: now };
+      indexDocs.push({ id: tab.id, title: tab.title || '', url: tab.url || '', summary: fallbackSummary, tags: [], language });
+    }
+  }
+  
+  await storagePut(SUMMARY_STORE, Object.entries(entries).map(([key, entry]) => ({ key, ...entry })));
+  await storageTouch(SUMMARY_STORE, Object.values(tabKeys).filter(key => !entries[key]));
+  
+  // Merge into the latest mappings; tab events may have changed them while the batch ran
+  const {
+    [TAB_SUMMARY_KEYS_KEY]: tabSummaryKeys = {},
+    [TAB_CONTENT_KEY]: tabContent = {}
+  } = await chrome.storage.session.get([TAB_SUMMARY_KEYS_KEY, TAB_CONTENT_KEY]);
+  await chrome.storage.session.set({
+    [TAB_SUMMARY_KEYS_KEY]: { ...tabSummaryKeys, ...tabKeys },
+    [TAB_CONTENT_KEY]: { ...tabContent, ...tabContentUpdates }
+  });
+  
+  // Keep the keyword index in step with the new summaries
+  try {
+    await updateSearchIndex(indexDocs);
+  } catch (e) {
+    console.warn('[SearchIndex] Failed to index batch:', e);
+  }
+}
+
+// Prompt here when the worker has LanguageModel, otherwise in the offscreen document
+async function summarizeInBackground(extracted) {
+  if (typeof self.LanguageModel !== 'undefined') {
+    return summarizeBatch(extracted);
+  }
+  
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'summarizeBatch', extracted });
+  if (!response?.ok) throw new Error(response?.error || 'Offscreen summarization failed');
+  return response.results;
+}
+
+async function ensureOffscreenDocument() {
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [documentUrl] });
+  if (contexts.length) return;
+  
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['WORKERS'],
+      justification: 'Runs the on-device language model to summarize tabs in the background and reads PDF files with pdf.js'
+    }).finally(() => { creatingOffscreenDocument = null; });
+  }
+  await creatingOffscreenDocument;
+}
+
+// Main text, headings and description of a page from content_script.js, which is injected
+// first into tabs that were open before the extension loaded
+async function readPageContent(tabId) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action: 'extractPageText', tabId });
+  } catch (e) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content_script.js'] });
+    return chrome.tabs.sendMessage(tabId, { action: 'extractPageText', tabId });
+  }
+}
+
+// Text of a PDF tab with its page markers, read from the file (see pdf_text.js). pdf.js cannot
+// run in the worker, so PDFs are read in the offscreen document
+async function readPdfTab(t) {
+  if (t.url.startsWith('file:') && !await chrome.extension.isAllowedFileSchemeAccess()) {
+    throw new Error('File access not allowed');
+  }
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'extractPdfText', url: t.url });
+  if (!response?.ok) throw new Error(response?.error || 'Offscreen PDF extraction failed');
+  const pdf = response.pdf;
+  
+  const text = [t.title, formatPdfText(pdf.pages)]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SUMMARY_MAX_TEXT_CHARS);
+  const language = detectLanguage(text);
+  console.debug('[Extract] Read', pdf.pages.length, 'PDF pages,', text.length, 'chars from tabId', t.id, 'language:', language);
+  return { id: t.id, title: t.title || '', url: t.url || '', text, pages: pdf.pages, headings: [], metadata: pdf.metadata, language, contentRead: true };
+}
+
+// Items are { id, title, url, text, headings?, site?, metadata?, language, contentRead? };
+// contentRead marks text read from the page rather than the title/URL fallback
+async function extractTextFromTabs(tabs) {
+  const tasks = tabs.map(async (t) => {
+    if (!isReadableUrl(t.url)) {
+      console.debug('[Extract] Skipping non-scriptable/restricted URL (tabId', t.id, '):', t.url);
+      return { id: t.id, title: t.title || '', url: t.url || '', text: '', language: detectLanguage(t.title) };
+    }
+    
+    // Check if tab is still valid and has completed loading
+    try {
+      const tab = await chrome.tabs.get(t.id);
+      if (tab.status === 'loading') {
+        console.debug('[Extract] Tab still loading, using fallback for tabId', t.id);
+        const fallbackText = `${t.title || ''} ${t.url || ''}`.trim();
+        return { id: t.id, title: t.title || '', url: t.url || '', text: fallbackText, language: detectLanguage(t.title) };
+      }
+      
+      // Double-check URL hasn't changed
+      if (tab.url !== t.url) {
+        console.debug('[Extract] Tab URL changed during processing, tabId', t.id);
+        const fallbackText = `${tab.title || t.title || ''} ${tab.url || t.url || ''}`.trim();
+        return { id: t.id, title: tab.title || t.title || '', url: tab.url || t.url || '', text: fallbackText, language: detectLanguage(tab.title || t.title) };
+      }
+    } catch (e) {
+      console.debug('[Extract] Tab no longer exists, tabId', t.id);
+      return { id: t.id, title: t.title || '', url: t.url || '', text: '', language: DEFAULT_LANGUAGE };
+    }
+    
+    try {
+      if (isPdfUrl(t.url)) return await readPdfTab(t);
+      
+      const response = await readPageContent(t.id);
+      // A PDF served from a URL without the .pdf extension
+      if (response?.pdf) return await readPdfTab(t);
+      if (!response?.success) throw new Error(response?.error || 'No response from content script');
+      const text = [t.title, response.description, response.text]
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, SUMMARY_MAX_TEXT_CHARS);
+      const language = detectLanguage(text, response.lang);
+      console.debug('[Extract] Successfully extracted', text.length, 'chars from tabId', t.id, 'language:', language);
+      return { id: t.id, title: t.title || '', url: t.url || '', text, headings: response.headings || [], site: response.site, metadata: response.metadata || {}, language, contentRead: true };
+    } catch (e) {
+      // This is expected for some URLs - just log and use fallback
+      console.debug('[Extract] Content extraction not available for tabId', t.id, '- using title/URL fallback');
+      const fallbackText = `${t.title || ''} ${t.url || ''}`.trim();
+      return { id: t.id, title: t.title || '', url: t.url || '', text: fallbackText, language: detectLanguage(t.title) };
+    }
+  });
+
+  const extracted = await Promise.all(tasks);
+  console.debug('[Extract] Completed', extracted.length, 'tabs');
+  return extracted;
+}
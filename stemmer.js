@@ -0,0 +1,154 @@
+/**
+ * AI Tab Navigator - Stemmers
+ *
+ * Porter stemming algorithm (M.F. Porter, 1980) for English, plus light suffix-stripping
+ * stemmers for Spanish, French, German and Portuguese. Used for both indexed tab text and
+ * query keywords so "running tutorials" and "Run a tutorial" reduce to the same terms.
+ * Expects a lowercase word.
+ */
+
+const PORTER_STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const PORTER_STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const PORTER_STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+// Consonant/vowel patterns from the paper: [C](VC){m}[V]
+const PORTER_CONSONANT = '[^aeiou]';
+const PORTER_VOWEL = '[aeiouy]';
+const PORTER_CONSONANTS = PORTER_CONSONANT + '[^aeiouy]*';
+const PORTER_VOWELS = PORTER_VOWEL + '[aeiou]*';
+
+const PORTER_MEASURE_GT_0 = new RegExp('^(' + PORTER_CONSONANTS + ')?' + PORTER_VOWELS + PORTER_CONSONANTS);
+const PORTER_MEASURE_EQ_1 = new RegExp('^(' + PORTER_CONSONANTS + ')?' + PORTER_VOWELS + PORTER_CONSONANTS + '(' + PORTER_VOWELS + ')?$');
+const PORTER_MEASURE_GT_1 = new RegExp('^(' + PORTER_CONSONANTS + ')?' + PORTER_VOWELS + PORTER_CONSONANTS + PORTER_VOWELS + PORTER_CONSONANTS);
+const PORTER_HAS_VOWEL = new RegExp('^(' + PORTER_CONSONANTS + ')?' + PORTER_VOWEL);
+const PORTER_CVC = new RegExp('^' + PORTER_CONSONANTS + PORTER_VOWEL + '[^aeiouwxy]$');
+
+function porterStem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+
+  // Treat a leading y as a consonant
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/(ss|i)es$/.test(w)) w = w.replace(/(ss|i)es$/, '$1');
+  else if (/([^s])s$/.test(w)) w = w.replace(/([^s])s$/, '$1');
+
+  // Step 1b: -eed, -ed, -ing
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (PORTER_MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const stem = match[1];
+    if (PORTER_HAS_VOWEL.test(stem)) {
+      w = stem;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (PORTER_CVC.test(w)) w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i when there is another vowel
+  if ((match = /^(.+?)y$/.exec(w)) && PORTER_HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (PORTER_MEASURE_GT_0.test(match[1])) w = match[1] + PORTER_STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (PORTER_MEASURE_GT_0.test(match[1])) w = match[1] + PORTER_STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: strip remaining suffixes when the stem is long enough
+  const step4 = new RegExp('^(.+?)(' + PORTER_STEP4_SUFFIXES.join('|') + ')$');
+  if ((match = step4.exec(w))) {
+    if (PORTER_MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    const stem = match[1] + match[2];
+    if (PORTER_MEASURE_GT_1.test(stem)) w = stem;
+  }
+
+  // Step 5a: final -e
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stem = match[1];
+    if (PORTER_MEASURE_GT_1.test(stem) || (PORTER_MEASURE_EQ_1.test(stem) && !PORTER_CVC.test(stem))) {
+      w = stem;
+    }
+  }
+
+  // Step 5b: -ll -> -l
+  if (/ll$/.test(w) && PORTER_MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+// Light stemmers: strip the longest known inflectional/derivational suffix, keeping at least
+// 3 letters. Accents are dropped first so "canción" and "cancion" meet.
+const LIGHT_STEMMER_SUFFIXES = {
+  es: [
+    'amientos', 'imientos', 'aciones', 'uciones', 'amiento', 'imiento', 'adoras', 'adores', 'ancias',
+    'logias', 'mente', 'acion', 'ucion', 'adora', 'ador', 'ancia', 'logia', 'idades', 'idad', 'ismos',
+    'ismo', 'istas', 'ista', 'ables', 'able', 'ibles', 'ible', 'ando', 'iendo', 'ados', 'idos', 'adas',
+    'idas', 'ado', 'ido', 'ada', 'ida', 'es', 'os', 'as', 's', 'a', 'o', 'e'
+  ],
+  fr: [
+    'issements', 'issement', 'atrices', 'ations', 'ateurs', 'ements', 'ement', 'ation', 'atrice',
+    'ateur', 'ances', 'ance', 'ences', 'ence', 'ites', 'ite', 'euses', 'euse', 'eux', 'ives', 'ive',
+    'ifs', 'if', 'ables', 'able', 'ismes', 'isme', 'istes', 'iste', 'es', 's', 'e', 'x'
+  ],
+  de: [
+    'ungen', 'heiten', 'keiten', 'heit', 'keit', 'ung', 'lich', 'isch', 'chen', 'ern', 'em', 'en',
+    'er', 'es', 'e', 's', 'n'
+  ],
+  pt: [
+    'amentos', 'imentos', 'amento', 'imento', 'acoes', 'ucoes', 'mente', 'idades', 'idade', 'ismos',
+    'ismo', 'istas', 'ista', 'aveis', 'iveis', 'avel', 'ivel', 'acao', 'ucao', 'ados', 'idos', 'adas',
+    'idas', 'ado', 'ido', 'ada', 'ida', 'es', 'os', 'as', 's', 'a', 'o', 'e'
+  ]
+};
+
+// Longest suffix first, so the first fit wins
+for (const suffixes of Object.values(LIGHT_STEMMER_SUFFIXES)) {
+  suffixes.sort((a, b) => b.length - a.length);
+}
+
+function stripAccents(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ß/g, 'ss');
+}
+
+function lightStem(word, language) {
+  const stem = stripAccents(word);
+  if (stem.length < 4 || !/^[a-z]+$/.test(stem)) return stem;
+
+  for (const suffix of LIGHT_STEMMER_SUFFIXES[language]) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      return stem.slice(0, -suffix.length);
+    }
+  }
+  return stem;
+}
+
+// Stem a word with the stemmer for its language (English when the language is unknown)
+function stemWord(word, language = 'en') {
+  if (LIGHT_STEMMER_SUFFIXES[language]) return lightStem(word, language);
+  return porterStem(word);
+}
@@ -0,0 +1,306 @@
+/**
+ * AI Tab Navigator - IndexedDB Storage
+ *
+ * Summaries, extracted page text, the keyword index, the full-text content index and search
+ * history are kept in IndexedDB, one record per entry, so updating one summary no longer
+ * rewrites every summary the way a single chrome.storage key does. Each record carries its
+ * approximate size and when it was last used; once the stores near their budget, the least
+ * recently used page text is evicted first, then content and keyword index docs, then
+ * summaries, then history.
+ *
+ * Records are plain objects with a `key`; `size` and `lastUsed` are added on write.
+ */
+
+const STORAGE_DB_NAME = 'ai-tab-navigator';
+const STORAGE_DB_VERSION = 4;
+
+const SUMMARY_STORE = 'summaries';  // { key: cacheKey, url, contentHash, fingerprint, summary, tags, outline, metadata, language, vector, timestamp }
+const FULL_TEXT_STORE = 'fullText'; // { key: normalized URL, text, pages? (PDFs), language, timestamp }
+const HISTORY_STORE = 'history';    // { key: `${day} ${query}`, day, query, tabIds, at }
+const CONTENT_INDEX_STORE = 'contentIndex'; // { key: tabId, url, ...createIndexRecord } (see content_index.js)
+const SEARCH_INDEX_STORE = 'searchIndex';   // { key: tabId, ...createIndexRecord } (see search_index.js)
+
+const STORAGE_STORES = [SUMMARY_STORE, FULL_TEXT_STORE, HISTORY_STORE, CONTENT_INDEX_STORE, SEARCH_INDEX_STORE];
+
+// Page text is cheapest to lose (it is re-extracted on demand), history the most costly.
+// Content index docs come back when the tab is next read, keyword index docs when it is next
+// searched or indexed
+const STORAGE_EVICTION_ORDER = [FULL_TEXT_STORE, CONTENT_INDEX_STORE, SEARCH_INDEX_STORE, SUMMARY_STORE, HISTORY_STORE];
+
+// Our own ceiling, lowered to half the browser's quota on small disks. Eviction starts at
+// STORAGE_EVICTION_THRESHOLD of it and frees space down to STORAGE_EVICTION_TARGET
+const STORAGE_BUDGET_BYTES = 50 * 1024 * 1024;
+const STORAGE_EVICTION_THRESHOLD = 0.9;
+const STORAGE_EVICTION_TARGET = 0.7;
+
+let storageDbPromise = null;
+
+function openStorageDb() {
+  if (!storageDbPromise) {
+    storageDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // Version 3 kept the whole content index in one record
+        if (event.oldVersion < 4 && db.objectStoreNames.contains(CONTENT_INDEX_STORE)) {
+          db.deleteObjectStore(CONTENT_INDEX_STORE);
+        }
+        for (const name of STORAGE_STORES) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, { keyPath: 'key' });
+          store.createIndex('lastUsed', 'lastUsed');
+          store.createIndex('size', 'size');
+          if (name === SUMMARY_STORE || name === CONTENT_INDEX_STORE) store.createIndex('url', 'url');
+          if (name === HISTORY_STORE) store.createIndex('day', 'day');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(e => {
+      storageDbPromise = null;
+      throw e;
+    });
+  }
+  return storageDbPromise;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Rough byte size of a record as stored (strings are UTF-16)
+function getRecordSize(record) {
+  return JSON.stringify(record).length * 2;
+}
+
+async function storageGet(storeName, key) {
+  const db = await openStorageDb();
+  return requestResult(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+// Records for several keys, read in one transaction (undefined where there is none)
+async function storageGetMany(storeName, keys) {
+  const db = await openStorageDb();
+  const store = db.transaction(storeName).objectStore(storeName);
+  return Promise.all(keys.map(key => requestResult(store.get(key))));
+}
+
+async function storageGetAllKeys(storeName) {
+  const db = await openStorageDb();
+  return requestResult(db.transaction(storeName).objectStore(storeName).getAllKeys());
+}
+
+async function storageGetAll(storeName) {
+  const db = await openStorageDb();
+  return requestResult(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+async function storageGetAllByIndex(storeName, indexName, value) {
+  const db = await openStorageDb();
+  return requestResult(db.transaction(storeName).objectStore(storeName).index(indexName).getAll(value));
+}
+
+// Records matching any of several index values, read in one transaction
+async function storageGetAllByIndexValues(storeName, indexName, values) {
+  const db = await openStorageDb();
+  const index = db.transaction(storeName).objectStore(storeName).index(indexName);
+  const results = await Promise.all([...new Set(values)].map(value => requestResult(index.getAll(value))));
+  return results.flat();
+}
+
+// Write one record or an array of them, then evict if the stores have grown past the budget
+async function storagePut(storeName, records) {
+  const db = await openStorageDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const now = Date.now();
+  let written = 0;
+  for (const record of [].concat(records)) {
+    const stamped = { ...record, lastUsed: now, size: 0 };
+    stamped.size = getRecordSize(stamped);
+    written += stamped.size;
+    store.put(stamped);
+  }
+  await transactionDone(tx);
+
+  try {
+    await checkStorageBudget(written);
+  } catch (e) {
+    console.warn('[Storage] Eviction failed:', e);
+  }
+}
+
+// [primaryKey, indexKey] of every record, read from the index without loading the records
+async function storageGetIndexEntries(storeName, indexName) {
+  const db = await openStorageDb();
+  const request = db.transaction(storeName).objectStore(storeName).index(indexName).openKeyCursor();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      entries.push([cursor.primaryKey, cursor.key]);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Move a record to another key in one transaction, unless that key is taken; returns whether it moved
+async function storageMoveRecord(storeName, fromKey, toKey) {
+  const db = await openStorageDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  let moved = false;
+  const fromRequest = store.get(fromKey);
+  const toRequest = store.getKey(toKey);
+  toRequest.onsuccess = () => {
+    if (!fromRequest.result || toRequest.result !== undefined) return;
+    store.put({ ...fromRequest.result, key: toKey });
+    store.delete(fromKey);
+    moved = true;
+  };
+  await transactionDone(tx);
+  return moved;
+}
+
+async function storageDelete(storeName, keys) {
+  if (!keys.length) return;
+  const db = await openStorageDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  keys.forEach(key => store.delete(key));
+  await transactionDone(tx);
+}
+
+// Mark records as just used, so eviction keeps them longer
+async function storageTouch(storeName, keys) {
+  if (!keys.length) return;
+  const db = await openStorageDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const now = Date.now();
+  for (const key of keys) {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, lastUsed: now });
+    };
+  }
+  await transactionDone(tx);
+}
+
+// Bytes and record count of a store, read from the size index without loading the records
+async function getStoreUsage(storeName) {
+  const db = await openStorageDb();
+  const request = db.transaction(storeName).objectStore(storeName).index('size').openKeyCursor();
+  return new Promise((resolve, reject) => {
+    let bytes = 0;
+    let count = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ bytes, count });
+        return;
+      }
+      bytes += cursor.key;
+      count++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getStorageBudget(estimate) {
+  try {
+    const { quota } = estimate || await navigator.storage.estimate();
+    if (quota) return Math.min(STORAGE_BUDGET_BYTES, quota / 2);
+  } catch (e) {
+    console.debug('[Storage] Quota estimate unavailable:', e);
+  }
+  return STORAGE_BUDGET_BYTES;
+}
+
+/**
+ * Per-store usage for the stats view:
+ * { stores: { [storeName]: { bytes, count } }, totalBytes, budget, usage, quota }
+ * where usage/quota are the browser's figures for the whole extension.
+ */
+async function getStorageStats() {
+  const stores = {};
+  let totalBytes = 0;
+  for (const name of STORAGE_STORES) {
+    stores[name] = await getStoreUsage(name);
+    totalBytes += stores[name].bytes;
+  }
+
+  let estimate = {};
+  try {
+    estimate = await navigator.storage.estimate();
+  } catch (e) {}
+
+  return { stores, totalBytes, budget: await getStorageBudget(estimate), usage: estimate.usage, quota: estimate.quota };
+}
+
+// Bytes in the stores as of the last scan plus everything written since (overwrites are counted
+// as growth, so it errs high). Each context keeps its own and misses the other's writes until
+// its next scan; the worker scans again whenever it is restarted
+let storageUsageEstimate = null;
+let storageBudgetPromise = null;
+
+// Scan the stores only when the running total says they may be near the budget
+async function checkStorageBudget(bytesWritten) {
+  if (!storageBudgetPromise) storageBudgetPromise = getStorageBudget();
+  const budget = await storageBudgetPromise;
+  if (storageUsageEstimate !== null) {
+    storageUsageEstimate += bytesWritten;
+    if (storageUsageEstimate < budget * STORAGE_EVICTION_THRESHOLD) return 0;
+  }
+  return enforceStorageBudget(budget);
+}
+
+// Delete least recently used records, cheapest store first, once usage nears the budget
+async function enforceStorageBudget(budget) {
+  let total = 0;
+  for (const name of STORAGE_STORES) {
+    total += (await getStoreUsage(name)).bytes;
+  }
+  storageUsageEstimate = total;
+  if (total < budget * STORAGE_EVICTION_THRESHOLD) return 0;
+
+  let bytesToFree = total - budget * STORAGE_EVICTION_TARGET;
+  let evicted = 0;
+  const db = await openStorageDb();
+
+  for (const name of STORAGE_EVICTION_ORDER) {
+    if (bytesToFree <= 0) break;
+    const tx = db.transaction(name, 'readwrite');
+    const request = tx.objectStore(name).index('lastUsed').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || bytesToFree <= 0) return;
+      bytesToFree -= cursor.value.size || 0;
+      storageUsageEstimate -= cursor.value.size || 0;
+      evicted++;
+      cursor.delete();
+      cursor.continue();
+    };
+    await transactionDone(tx);
+  }
+
+  console.debug('[Storage] Evicted', evicted, 'least recently used records');
+  return evicted;
+}
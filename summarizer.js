@@ -0,0 +1,618 @@
+/**
+ * AI Tab Navigator - Tab Summarization
+ *
+ * Turns extracted page text into a one-sentence summary and tags with the on-device model.
+ * Loaded by the service worker, which owns the summary queue, and by the offscreen document,
+ * which runs the prompts when LanguageModel is not exposed to the worker. The popup uses it to
+ * look cached summaries up.
+ */
+
+// Summaries older than this are redone
+const SUMMARY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Tabs extracted and summarized together; progress is saved after each batch
+const SUMMARY_BATCH_SIZE = 10;
+
+// Prompts in flight at once, so background summarization leaves the model free for searches
+const SUMMARY_PROMPT_CONCURRENCY = 2;
+
+// chrome.storage.local flag set from the popup's bottom bar to pause the summary queue
+const SUMMARY_PAUSED_KEY = 'summaryQueuePaused';
+
+// Pages longer than one section are summarized section by section and the section summaries
+// merged into one (map-reduce). Sections shrink to fit models with a small input quota; text
+// beyond SUMMARY_MAX_SECTIONS sections is not read
+const SUMMARY_SECTION_CHARS = 6000;
+const SUMMARY_MAX_SECTIONS = 8;
+const SUMMARY_MAX_TEXT_CHARS = SUMMARY_SECTION_CHARS * SUMMARY_MAX_SECTIONS;
+const SUMMARY_MAX_LENGTH = 500;
+
+function isScriptableUrl(url) {
+  try {
+    const u = new URL(url || '');
+    // Only allow http and https protocols
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+    
+    // Block Chrome Web Store (both old and new URLs)
+    if (u.hostname === 'chrome.google.com' && u.pathname.startsWith('/webstore')) return false;
+    if (u.hostname === 'chromewebstore.google.com') return false;
+    
+    // Block Chrome internal management pages (but allow developer.chrome.com)
+    if (u.hostname === 'chrome.google.com') return false;
+    
+    // Block extension pages
+    if (u.protocol === 'chrome-extension:') return false;
+    
+    // Block other special protocols
+    if (u.protocol.startsWith('chrome')) return false;
+    
+    return true;
+  } catch { return false; }
+}
+
+// chrome.storage.session { [tabId]: cacheKey }: the page version each open tab was summarized
+// from. Cleared with the browser, like the tab IDs themselves
+const TAB_SUMMARY_KEYS_KEY = 'tabSummaryKeys';
+
+// Query parameters that only say where a visit came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref_src)$/;
+
+// One URL per page: no fragment, no tracking parameters, query parameters in a fixed order
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    for (const name of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(name)) u.searchParams.delete(name);
+    }
+    u.searchParams.sort();
+    return u.toString();
+  } catch {
+    return url || '';
+  }
+}
+
+// First 64 bits of the SHA-256 of the text, ignoring whitespace differences
+async function hashContent(text) {
+  const data = new TextEncoder().encode(String(text || '').replace(/\s+/g, ' ').trim());
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest).slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// chrome.storage.session { [tabId]: { contentHash, fingerprint, checkedAt } }: what each open
+// tab showed when it was last read, which can differ from the version it was summarized from
+const TAB_CONTENT_KEY = 'tabContent';
+
+// A page whose text is at least this similar to the summarized version keeps its summary
+const CONTENT_SIMILARITY_THRESHOLD = 0.9;
+
+// Word shingles hashed into the fingerprint
+const FINGERPRINT_SHINGLE_SIZE = 3;
+
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 64-bit SimHash (Charikar, 2002) of the text's word shingles, as 16 hex digits. Unlike
+ * hashContent, a small edit (a timestamp, a new comment) only flips a few bits, so
+ * fingerprintSimilarity can tell an updated page from a different one.
+ */
+function fingerprintContent(text) {
+  const words = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const weights = new Array(64).fill(0);
+  const shingleCount = Math.max(1, words.length - FINGERPRINT_SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingleCount; i++) {
+    const shingle = words.slice(i, i + FINGERPRINT_SHINGLE_SIZE).join(' ');
+    const halves = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x050c5d1f)];
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+  
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+// Share of matching fingerprint bits: 1 for the same text, around 0.5 for unrelated pages
+function fingerprintSimilarity(a, b) {
+  if (!a || !b) return 0;
+  let differentBits = 0;
+  for (let i = 0; i < 16; i += 8) {
+    let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (diff) {
+      diff &= diff - 1;
+      differentBits++;
+    }
+  }
+  return 1 - differentBits / 64;
+}
+
+// Summaries are cached in IndexedDB (SUMMARY_STORE in storage.js) under normalized URL plus a
+// hash of the extracted text, so they outlive tab IDs
+function getSummaryCacheKey(url, contentHash) {
+  return `${normalizeUrl(url)} ${contentHash}`;
+}
+
+function isFreshSummary(entry, now = Date.now()) {
+  return !!entry?.summary && (now - entry.timestamp) < SUMMARY_MAX_AGE_MS;
+}
+
+// Every cached summary as { [cacheKey]: entry }, for createSummaryLookup
+async function loadSummaryCache() {
+  const records = await storageGetAll(SUMMARY_STORE);
+  return Object.fromEntries(records.map(record => [record.key, record]));
+}
+
+// Cached summaries of the given (normalized) URLs only, in the same shape; enough for
+// createSummaryLookup on tabs showing those pages
+async function loadSummariesForUrls(urls) {
+  const records = await storageGetAllByIndexValues(SUMMARY_STORE, 'url', urls);
+  return Object.fromEntries(records.map(record => [record.key, record]));
+}
+
+/**
+ * Returns tab => cached summary entry (or null). A tab gets the page version it was summarized
+ * from when that is still fresh, otherwise the newest summary of its URL, which covers duplicate
+ * tabs of a page and tabs restored after a browser restart.
+ */
+function createSummaryLookup(summaryCache, tabSummaryKeys = {}, now = Date.now()) {
+  const newestByUrl = new Map();
+  for (const entry of Object.values(summaryCache)) {
+    if (!isFreshSummary(entry, now)) continue;
+    const newest = newestByUrl.get(entry.url);
+    if (!newest || entry.timestamp > newest.timestamp) newestByUrl.set(entry.url, entry);
+  }
+  
+  return (tab) => {
+    const url = normalizeUrl(tab.url);
+    const own = summaryCache[tabSummaryKeys[tab.id]];
+    if (own && own.url === url && isFreshSummary(own, now)) return own;
+    return newestByUrl.get(url) || null;
+  };
+}
+
+// Map items through an async function with at most `limit` calls running at once
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// One session per set of input languages, created on first use
+const summarySessions = new Map();
+
+function getSummarySession(systemPrompt, inputLanguages = ['en']) {
+  const languages = [...new Set(['en', ...inputLanguages])].sort();
+  const key = languages.join(',');
+  if (!summarySessions.has(key)) {
+    summarySessions.set(key, createSummarySession(systemPrompt, languages).then(session => {
+      // Try again on the next batch, the model may still be downloading
+      if (!session) summarySessions.delete(key);
+      return session;
+    }));
+  }
+  return summarySessions.get(key);
+}
+
+async function createSummarySession(systemPrompt, inputLanguages) {
+  if (typeof self.LanguageModel === 'undefined' || typeof self.LanguageModel.create !== 'function') {
+    console.debug('[Summarize] No on-device API detected');
+    return null;
+  }
+  
+  // Input may be in the pages' language; output is always English
+  const getAvailabilityOptions = (languages) => ({ expectedInputs: [{ type: 'text', languages }], expectedOutputs: [{ type: 'text', languages: ['en'] }] });
+  try {
+    let availabilityOptions = getAvailabilityOptions(inputLanguages);
+    let availability = await self.LanguageModel.availability(availabilityOptions);
+    if (availability === 'unavailable' && inputLanguages.some(language => language !== 'en')) {
+      availabilityOptions = getAvailabilityOptions(['en']);
+      availability = await self.LanguageModel.availability(availabilityOptions);
+    }
+    if (availability === 'unavailable') {
+      console.debug('[Summarize] LanguageModel unavailable for', inputLanguages);
+      return null;
+    }
+    
+    const session = await self.LanguageModel.create({ ...availabilityOptions, systemPrompt, temperature: 0.0, topK: 1 });
+    console.debug('[Summarize] LanguageModel session created for', inputLanguages);
+    return session;
+  } catch (e) {
+    console.warn('[Summarize] Failed to create on-device session', e);
+    return null;
+  }
+}
+
+const SUMMARY_TAG_INSTRUCTIONS = `Extract 30 tags/keywords covering:
+- Broad categories (e.g., "technology", "education", "entertainment")
+- Medium categories (e.g., "web-development", "machine-learning", "productivity")
+- Specific/niche tags (e.g., "react-hooks", "python-django", "css-flexbox")
+- Topics mentioned (e.g., "tutorial", "documentation", "news", "blog")
+- Technologies/tools (e.g., "javascript", "vscode", "github")`;
+
+// Characters of page text per section: a quarter of the session's input quota at ~4 characters
+// per token, leaving room for the instructions and the session's earlier turns
+function getSectionCharLimit(session) {
+  const quota = session.inputQuota ?? session.maxTokens ?? 6144;
+  return Math.max(1000, Math.min(SUMMARY_SECTION_CHARS, Math.floor(quota / 4) * 4));
+}
+
+// Split text into sections of at most maxChars, breaking between sentences where possible
+function splitIntoSections(text, maxChars) {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+  const sections = [];
+  let current = '';
+  for (let sentence of sentences) {
+    while (sentence.length > maxChars) {
+      if (current) sections.push(current.trim());
+      current = '';
+      sections.push(sentence.slice(0, maxChars).trim());
+      sentence = sentence.slice(maxChars);
+    }
+    if (current.length + sentence.length > maxChars) {
+      sections.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) sections.push(current.trim());
+  return sections.filter(Boolean);
+}
+
+// Pages read by a site extractor (see content_script.js) list their parts as "Label: value" lines
+function formatPageType(site) {
+  return site ? `\nPage type: ${site} (the text lists its parts as "Label: value")` : '';
+}
+
+// The page's heading outline as a prompt line, indented by level
+function formatHeadings(headings = []) {
+  if (!headings.length) return '';
+  const shown = headings.slice(0, 30);
+  const topLevel = Math.min(...shown.map(h => h.level));
+  const lines = shown.map(h => `${'  '.repeat(h.level - topLevel)}- ${h.text}`);
+  return `\nHeadings:\n${lines.join('\n')}`;
+}
+
+function truncateSummary(summary) {
+  return summary.length > SUMMARY_MAX_LENGTH ? summary.slice(0, SUMMARY_MAX_LENGTH) + '...' : summary;
+}
+
+/**
+ * Map-reduce summary of a page too long for one prompt: each section gets a heading, a
+ * one-sentence summary and tags, then one more prompt merges the section summaries.
+ * Returns { summary, tags, outline: [{ heading, summary, tags }] }, or null if no section
+ * could be summarized.
+ */
+async function summarizeLongPage(session, item, sectionChars, languageNote) {
+  const sections = splitIntoSections(item.text, sectionChars).slice(0, SUMMARY_MAX_SECTIONS);
+  console.debug('[Summarize] Long page for tab', item.id + ':', item.text.length, 'chars in', sections.length, 'sections');
+  
+  // A copy of the session per page, so its sections don't push other pages out of the context
+  let pageSession = session;
+  try {
+    if (typeof session.clone === 'function') pageSession = await session.clone();
+  } catch (e) {
+    console.debug('[Summarize] Session clone failed, reusing session:', e);
+  }
+  
+  try {
+    const outline = [];
+    for (let i = 0; i < sections.length; i++) {
+      const prompt = `This is part ${i + 1} of ${sections.length} of a long page.${languageNote}
+Title: ${item.title}
+Text: ${sections[i]}
+
+Respond with valid JSON only (escape any quotes with \\): {"heading": "a heading for this part, at most 8 words", "summary": "one sentence describing this part", "tags": ["tag1", "tag2", ..., "tag10"]}`;
+      try {
+        const parsed = safeJsonParse(await pageSession.prompt(prompt) || '{}');
+        if (parsed?.summary) {
+          outline.push({
+            heading: String(parsed.heading || `Part ${i + 1}`).slice(0, 80),
+            summary: truncateSummary(parsed.summary),
+            tags: Array.isArray(parsed.tags) ? parsed.tags.slice(0, 10) : []
+          });
+        }
+      } catch (e) {
+        console.warn('[Summarize] Section', i + 1, 'failed for tabId', item.id, e);
+      }
+    }
+    if (!outline.length) return null;
+    
+    const sectionList = outline
+      .map((section, i) => `${i + 1}. ${section.heading}: ${section.summary} (tags: ${section.tags.join(', ')})`)
+      .join('\n');
+    const prompt = `These are summaries of the parts of one page, in order. Provide a summary of the whole page and 30 tags in valid JSON format.
+Title: ${item.title}
+URL: ${item.url}${formatPageType(item.site)}${formatHeadings(item.headings)}
+Parts:
+${sectionList}
+
+${SUMMARY_TAG_INSTRUCTIONS}
+
+Respond with valid JSON only (escape any quotes with \\): {"summary": "one sentence describing what this page is about", "tags": ["tag1", "tag2", ..., "tag30"]}`;
+    
+    let parsed = null;
+    try {
+      parsed = safeJsonParse(await pageSession.prompt(prompt) || '{}');
+    } catch (e) {
+      console.warn('[Summarize] Merging sections failed for tabId', item.id, e);
+    }
+    
+    // Without a merged summary, the first sections and their most common tags stand in
+    if (!parsed?.summary) {
+      const tagCounts = new Map();
+      outline.flatMap(section => section.tags).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+      parsed = {
+        summary: outline.map(section => section.summary).join(' '),
+        tags: [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).map(([tag]) => tag)
+      };
+    }
+    
+    const tags = Array.isArray(parsed.tags) ? parsed.tags.slice(0, 3) : [];
+    console.log('[AI-LOG] Merged summary for tab', item.id + ':', { summary: parsed.summary, tags, sections: outline.length });
+    return { summary: truncateSummary(parsed.summary), tags, outline };
+  } finally {
+    if (pageSession !== session) pageSession.destroy?.();
+  }
+}
+
+async function summarizeBatch(extracted) {
+ //const systemPrompt = 'You summarize web page text into one concise sentence and provide 3 relevant category tags. Always respond in valid JSON format: {"summary": "one sentence summary", "tags": ["tag1", "tag2", "tag3"]}. Escape any quotes in the summary text properly.';
+ const systemPrompt = `You are an **EXTREMELY CRITICAL and PRECISE** tab relevance scorer. Your sole purpose is to identify tabs that are **DIRECTLY AND PRIMARILY** about the user's query, assigning a relevance score from 1 (completely irrelevant) to 10 (perfect, unequivocal match).
+
+      **Scoring Guidelines (READ AND ADHERE STRICTLY):**
+      - **10 (Perfect, Primary Focus):** The tab's main topic and content are an **EXACT, undeniable, and central match** to the user's query. This tab is precisely what the user is looking for. No ambiguity.
+      - **8-9 (Strong, Direct Relevance):** The tab is **unquestionably focused** on the user's query. It's not a perfect keyword match, but the content's primary subject is clearly the query. **Only use 8-9 if the tab's core purpose IS the query.**
+      - **5-7 (Moderate, Supporting Relevance):** The tab is **tangentially or secondarily related** to the query. It might contain information *about* the query, but the query is not its main subject. This could be a broader category, a related sub-topic, or a tool that *uses* the query topic. **These scores should be rare.**
+      - **1-4 (Low or No Relevance):** The tab has a weak, incidental, or abstract connection to the query. **THESE SCORES MUST NEVER BE INCLUDED IN THE FINAL JSON OUTPUT.**
+
+      **ABSOLUTE CRITICAL RULES (VIOLATING THESE IS A FAILURE):**
+      1.  **SEVERE STRICTNESS:** It is **ALWAYS better to assign a score below 5 (and thus exclude) or a score of 1** than to falsely assign a high score (8-10) to a tab that isn't a direct and primary match. Over-inclusion is a critical error.
+      2.  **NEW RULE - PRIMARY TOPIC vs. MERE MENTION:** You MUST distinguish between a tab *about* the query (e.g., a "JavaScript tutorial" for query "JavaScript") and a tab that *mentions* the query (e.g., a "web design" article that mentions "JavaScript"). A mere mention, even if in the title, **CANNOT** receive a score higher than 5. A score of 8-10 is **RESERVED** for tabs whose **PRIMARY TOPIC** is the query.
+      3.  **NO "SOUNDS LIKE" OR "RELATED TO":** Do not score highly based on tabs that are just in the same general category. The connection must be direct and central.
+      4.  **OUTPUT JSON:** You MUST respond with a valid JSON object: \`{"results": [{"tabId": number, "relevanceScore": number}]}\`.
+      5.  **STRICT FILTERING:** **ONLY** include tabs with a \`relevanceScore\` of 5 or higher in your JSON. **NEVER** include tabs with scores 1-4.
+      6.  **SORTING:** Sort the results in descending order by \`relevanceScore\`.
+      7.  **PENALTY FOR DOUBT:** If you are in ANY doubt, assign a score of 1-4. High scores must be absolutely certain.
+      `;
+  console.log('[AI-LOG] Summarization System Prompt:', systemPrompt);
+  
+  // Pages may be in any supported language; summaries and tags are always written in English
+  // so one query language can search them all
+  const batchLanguages = [...new Set(extracted.map(item => item.language || DEFAULT_LANGUAGE))];
+  const session = await getSummarySession(systemPrompt, batchLanguages);
+
+  // A few prompts at a time; the rest wait their turn
+  const results = await mapWithConcurrency(extracted, SUMMARY_PROMPT_CONCURRENCY, async (item) => {
+    let summary = '';
+    let tags = [];
+    
+    if (session && item.text) {
+      const languageNote = item.language && item.language !== 'en'
+        ? `\nThe page is in ${LANGUAGE_NAMES[item.language]}; write the summary and tags in English.`
+        : '';
+      const sectionChars = getSectionCharLimit(session);
+      if (item.text.length > sectionChars) {
+        const longPage = await summarizeLongPage(session, item, sectionChars, languageNote);
+        if (longPage) return { id: item.id, title: item.title, url: item.url, ...longPage, language: item.language || DEFAULT_LANGUAGE };
+      }
+      
+      const prompt = `Analyze this page and provide a summary and 30 tags in valid JSON format.${languageNote}
+Title: ${item.title}
+URL: ${item.url}${formatPageType(item.site)}${formatHeadings(item.headings)}
+Text: ${item.text}
+
+${SUMMARY_TAG_INSTRUCTIONS}
+
+Respond with valid JSON only (escape any quotes with \\): {"summary": "one sentence describing what this page is about", "tags": ["tag1", "tag2", ..., "tag30"]}`;
+      console.log('[AI-LOG] Summarization Input for tab', item.id + ':', {
+        title: item.title,
+        url: item.url,
+        textLength: item.text?.length || 0,
+        textPreview: item.text?.substring(0, 200) + (item.text?.length > 200 ? '...' : ''),
+        fullPrompt: prompt.substring(0, 300) + '...'
+      });
+      
+      try {
+        const raw = await session.prompt(prompt);
+        console.log('[AI-LOG] Summarization Output for tab', item.id + ':', raw);
+        console.debug('[AI] Summary raw:', raw);
+        
+        // Try to parse JSON response
+        let parsed = null;
+        parsed = safeJsonParse(raw || '{}');
+        
+        if (!parsed) {
+          console.warn('[AI-LOG] Failed to parse JSON response, treating as plain text');
+          // Fallback: treat as plain text summary
+          summary = truncateSummary((raw || '').trim());
+        }
+        
+        if (parsed && parsed.summary) {
+          summary = truncateSummary(parsed.summary);
+          tags = Array.isArray(parsed.tags) ? parsed.tags.slice(0, 3) : [];
+          console.log('[AI-LOG] Parsed summary and tags for tab', item.id + ':', { summary, tags });
+        }
+        
+      } catch (e) { 
+        console.warn('[Summarize] AI failed for tabId', item.id, e); 
+        console.log('[AI-LOG] Summarization Error for tab', item.id + ':', e.message);
+      }
+    } else {
+      console.log('[AI-LOG] Skipping AI summarization for tab', item.id + ':', {
+        reason: !session ? 'No AI session' : 'No text content',
+        hasSession: !!session,
+        hasText: !!item.text,
+        textLength: item.text?.length || 0
+      });
+    }
+    
+    if (!summary) {
+      // If we couldn't read text, prefer URL-only summary; else use snippet or title
+      const fallbackMaxLength = 500; // Increased from 240 to 500 characters
+      const fallbackText = item.text || item.title || item.url || '';
+      
+      if (fallbackText.length > fallbackMaxLength) {
+        summary = fallbackText.slice(0, fallbackMaxLength) + '...';
+        console.log('[AI-LOG] Fallback summary truncated for tab', item.id + '- original length:', fallbackText.length, 'truncated to:', fallbackMaxLength);
+      } else {
+        summary = fallbackText;
+      }
+      
+      // Generate simple tags from title and URL for fallback
+      const fallbackTags = generateFallbackTags(item.title, item.url);
+      tags = fallbackTags;
+      
+      console.log('[AI-LOG] Using fallback summary and tags for tab', item.id + ':', { summary, tags });
+    }
+    
+    return { id: item.id, title: item.title, url: item.url, summary, tags, language: item.language || DEFAULT_LANGUAGE };
+  });
+  
+  console.debug('[Summarize] Completed', results.length, 'summaries');
+  return results;
+}
+
+function generateFallbackTags(title, url) {
+  const tags = [];
+  
+  try {
+    // Extract domain-based tags
+    const urlObj = new URL(url || '');
+    const domain = urlObj.hostname.replace('www.', '').toLowerCase();
+    
+    // Common domain patterns
+    if (domain.includes('github')) tags.push('development');
+    else if (domain.includes('stackoverflow') || domain.includes('stackexchange')) tags.push('programming');
+    else if (domain.includes('youtube') || domain.includes('vimeo')) tags.push('video');
+    else if (domain.includes('linkedin') || domain.includes('twitter') || domain.includes('facebook')) tags.push('social');
+    else if (domain.includes('amazon') || domain.includes('ebay') || domain.includes('shop')) tags.push('shopping');
+    else if (domain.includes('gmail') || domain.includes('outlook') || domain.includes('mail')) tags.push('email');
+    else if (domain.includes('docs.google') || domain.includes('office.com')) tags.push('documents');
+    else if (domain.includes('calendar')) tags.push('calendar');
+    else if (domain.includes('drive.google') || domain.includes('dropbox') || domain.includes('onedrive')) tags.push('storage');
+    else if (domain.includes('news') || domain.includes('cnn') || domain.includes('bbc')) tags.push('news');
+    else {
+      // Use domain name as a tag
+      const domainParts = domain.split('.');
+      if (domainParts.length > 1) {
+        tags.push(domainParts[0]);
+      }
+    }
+    
+    // Extract path-based tags
+    const path = urlObj.pathname.toLowerCase();
+    if (path.includes('insurance')) tags.push('insurance');
+    if (path.includes('finance') || path.includes('bank')) tags.push('finance');
+    if (path.includes('health') || path.includes('medical')) tags.push('health');
+    if (path.includes('education') || path.includes('course')) tags.push('education');
+    if (path.includes('job') || path.includes('career')) tags.push('jobs');
+    
+  } catch (e) {
+    // URL parsing failed, skip URL-based tags
+  }
+  
+  // Extract title-based tags
+  if (title) {
+    const titleLower = title.toLowerCase();
+    if (titleLower.includes('insurance')) tags.push('insurance');
+    if (titleLower.includes('finance') || titleLower.includes('bank')) tags.push('finance');
+    if (titleLower.includes('health') || titleLower.includes('medical')) tags.push('health');
+    if (titleLower.includes('education') || titleLower.includes('course')) tags.push('education');
+    if (titleLower.includes('job') || titleLower.includes('career')) tags.push('jobs');
+    if (titleLower.includes('news')) tags.push('news');
+    if (titleLower.includes('shop') || titleLower.includes('buy')) tags.push('shopping');
+    if (titleLower.includes('video') || titleLower.includes('watch')) tags.push('video');
+    if (titleLower.includes('doc') || titleLower.includes('edit')) tags.push('documents');
+  }
+  
+  // Remove duplicates and limit to 3
+  const uniqueTags = [...new Set(tags)];
+  return uniqueTags.slice(0, 3);
+}
+
+function safeJsonParse(text) { 
+  try { 
+    // First try to parse as-is
+    return JSON.parse(text); 
+  } catch (e) { 
+    try {
+      // Try to extract JSON from markdown code blocks
+      let jsonText = text;
+      const codeBlockMatch = text.match(/```(?:json)?\s*({[\s\S]*?})\s*```/);
+      if (codeBlockMatch) {
+        jsonText = codeBlockMatch[1];
+      } else {
+        // Try to find JSON object without code blocks
+        const jsonMatch = text.match(/({[\s\S]*?})/);
+        if (jsonMatch) {
+          jsonText = jsonMatch[1];
+        }
+      }
+      
+      // Try to repair truncated JSON
+      if (!jsonText.endsWith('}')) {
+        console.warn('[JSON] Response appears truncated, attempting repair');
+        // Count unclosed brackets and quotes
+        const openBraces = (jsonText.match(/{/g) || []).length;
+        const closeBraces = (jsonText.match(/}/g) || []).length;
+        const openBrackets = (jsonText.match(/\[/g) || []).length;
+        const closeBrackets = (jsonText.match(/\]/g) || []).length;
+        
+        // Add missing closing characters
+        for (let i = 0; i < openBrackets - closeBrackets; i++) {
+          jsonText += ']';
+        }
+        for (let i = 0; i < openBraces - closeBraces; i++) {
+          jsonText += '}';
+        }
+        
+        // Remove trailing incomplete entries
+        jsonText = jsonText.replace(/,\s*$/, '');
+        jsonText = jsonText.replace(/,\s*[\]}]+$/, (match) => match.substring(1));
+      }
+      
+      // Clean up common JSON formatting issues
+      jsonText = jsonText
+        // Fix unescaped quotes in string values
+        .replace(/"([^"]*)"([^"]*)"([^"]*)":/g, (match, p1, p2, p3) => {
+          // This is a property name, don't modify
+          return match;
+        })
+        .replace(/: "([^"]*)"([^"]*)"([^"]*)",/g, (match, p1, p2, p3) => {
+          // This is a string value with unescaped quotes
+          return `: "${p1}\\"${p2}\\"${p3}",`;
+        })
+        .replace(/: "([^"]*)"([^"]*)"([^"]*)"$/gm, (match, p1, p2, p3) => {
+          // This is a string value at end of line with unescaped quotes
+          return `: "${p1}\\"${p2}\\"${p3}"`;
+        })
+        // Fix trailing commas
+        .replace(/,(\s*[}\]])/g, '$1')
+        // Fix extra spaces
+        .trim();
+      
+      return JSON.parse(jsonText);
+      
+    } catch (e2) {
+      console.warn('[JSON] fallback parse also failed', e2, 'text:', text); 
+      return null;
+    }
+  } 
+}
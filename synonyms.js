@@ -0,0 +1,141 @@
+/**
+ * AI Tab Navigator - Synonym Expansion
+ *
+ * Keyword search only matches the words a tab actually uses, so "ML" misses a tab about
+ * "machine learning". Query keywords are expanded with a built-in dictionary of common
+ * tech/academic abbreviations plus the user's own mappings (Search settings -> Synonyms).
+ * Expanded terms score at SYNONYM_SCORE_FACTOR of a literal match, so tabs using the typed
+ * word still rank first.
+ *
+ * User mappings are stored as plain text in chrome.storage.local under 'customSynonyms',
+ * one group per line, every entry being a synonym of every other:
+ *   ml = machine learning
+ *   car = automobile, vehicle
+ */
+
+const SYNONYM_STORAGE_KEY = 'customSynonyms';
+const SYNONYM_SCORE_FACTOR = 0.5;
+
+// Longest dictionary entry looked for in a run of query keywords
+const MAX_SYNONYM_PHRASE_WORDS = 3;
+
+const BUILTIN_SYNONYM_GROUPS = [
+  // Tech
+  ['ml', 'machine learning'],
+  ['ai', 'artificial intelligence'],
+  ['dl', 'deep learning'],
+  ['nlp', 'natural language processing'],
+  ['llm', 'large language model'],
+  ['js', 'javascript'],
+  ['ts', 'typescript'],
+  ['py', 'python'],
+  ['k8s', 'kubernetes'],
+  ['db', 'database'],
+  ['repo', 'repository'],
+  ['docs', 'documentation'],
+  ['api', 'application programming interface'],
+  ['ui', 'user interface'],
+  ['ux', 'user experience'],
+  ['os', 'operating system'],
+  ['ci', 'continuous integration'],
+  ['pr', 'pull request'],
+  ['aws', 'amazon web services'],
+  ['gcp', 'google cloud platform'],
+  ['vm', 'virtual machine'],
+  ['faq', 'frequently asked questions'],
+  // Academic
+  ['cs', 'computer science'],
+  ['stats', 'statistics'],
+  ['math', 'mathematics'],
+  ['econ', 'economics'],
+  ['bio', 'biology'],
+  ['chem', 'chemistry'],
+  ['phd', 'doctorate'],
+  ['thesis', 'dissertation'],
+  ['paper', 'publication'],
+  ['lit review', 'literature review'],
+  // Everyday
+  ['car', 'automobile', 'vehicle']
+];
+
+// Lookup key for a word or phrase: stemmed words, so "cars" finds the "car" group
+function getSynonymKey(text) {
+  return tokenizeText(text).map(normalizeTerm).join(' ');
+}
+
+/**
+ * Parse the user's synonym text into groups. Lines look like "ml = machine learning, ML models";
+ * '=' and ',' both separate entries and lines starting with '#' are ignored.
+ */
+function parseSynonymText(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/[=,]/).map(entry => entry.trim().toLowerCase()).filter(Boolean))
+    .filter(group => group.length >= 2);
+}
+
+// key -> Set of synonym texts (never including the key's own group entry)
+function buildSynonymMap(groups) {
+  const map = new Map();
+  for (const group of groups) {
+    for (const entry of group) {
+      const key = getSynonymKey(entry);
+      if (!key) continue;
+      if (!map.has(key)) map.set(key, new Set());
+      for (const other of group) {
+        if (getSynonymKey(other) !== key) map.get(key).add(other);
+      }
+    }
+  }
+  return map;
+}
+
+function getSynonyms(synonymMap, text) {
+  return [...(synonymMap.get(getSynonymKey(text)) || [])];
+}
+
+/**
+ * Turn extracted keywords into index clauses, expanding dictionary entries.
+ * Runs of keywords that form a dictionary phrase ("machine learning") become one clause.
+ * A keyword without synonyms stays a plain string; otherwise the clause is
+ * [literal, { text, weight, synonymFor }, ...] for indexSearch.
+ */
+function expandKeywordsWithSynonyms(keywords, synonymMap) {
+  const clauses = [];
+  let i = 0;
+
+  while (i < keywords.length) {
+    let matched = null;
+    for (let size = Math.min(MAX_SYNONYM_PHRASE_WORDS, keywords.length - i); size >= 1; size--) {
+      const literal = keywords.slice(i, i + size).join(' ');
+      const synonyms = getSynonyms(synonymMap, literal);
+      if (synonyms.length) {
+        matched = { literal, synonyms, size };
+        break;
+      }
+    }
+
+    if (!matched) {
+      clauses.push(keywords[i]);
+      i++;
+      continue;
+    }
+
+    // Per-term scores add up, so scale by word count: "machine learning" standing in for "ml"
+    // must not outscore a tab that literally says "ML"
+    const literalWords = tokenizeText(matched.literal).length || 1;
+    clauses.push([
+      matched.literal,
+      ...matched.synonyms.map(text => ({
+        text,
+        weight: SYNONYM_SCORE_FACTOR * literalWords / (tokenizeText(text).length || 1),
+        synonymFor: matched.literal
+      }))
+    ]);
+    i += matched.size;
+  }
+
+  return clauses;
+}
@@ -0,0 +1,126 @@
+/**
+ * AI Tab Navigator - Offline Vector Search
+ *
+ * Embedding-style similarity without a model: each tab's title, tags and summary are turned
+ * into a hashed feature vector (stemmed words plus character trigrams, so "kubernete" still
+ * lands near "kubernetes"), weighted by IDF over the tabs being ranked and compared to the
+ * query by cosine similarity. Fast enough to rank hundreds of tabs on every keystroke, and
+ * used to pre-filter the tabs sent to the on-device model.
+ *
+ * Vectors are sparse objects { bucket: weight } stored with each summary (see storage.js).
+ */
+
+const VECTOR_DIMENSIONS = 1024;
+
+// Tags and titles say more about a tab than a one-sentence summary
+const VECTOR_FIELD_WEIGHTS = { title: 1.5, tags: 2, summary: 1, outline: 0.5 };
+
+// Trigrams only nudge similarity; whole words carry most of the weight
+const VECTOR_TRIGRAM_WEIGHT = 0.3;
+
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % VECTOR_DIMENSIONS;
+}
+
+function addVectorFeatures(vector, stems, weight) {
+  for (const stem of stems) {
+    const bucket = hashFeature(`w:${stem}`);
+    vector[bucket] = (vector[bucket] || 0) + weight;
+
+    if (stem.length < 4) continue;
+    const padded = `#${stem}#`;
+    for (let i = 0; i < padded.length - 2; i++) {
+      const trigramBucket = hashFeature(`g:${padded.slice(i, i + 3)}`);
+      vector[trigramBucket] = (vector[trigramBucket] || 0) + weight * VECTOR_TRIGRAM_WEIGHT;
+    }
+  }
+}
+
+// Sublinear term frequency, rounded so stored vectors stay small
+function finalizeVector(vector) {
+  const result = {};
+  for (const [bucket, value] of Object.entries(vector)) {
+    result[bucket] = Math.round(Math.log1p(value) * 1000) / 1000;
+  }
+  return result;
+}
+
+// Vector for a { title, tags, summary, outline?, language } doc; summaries and tags are English (see search_index.js)
+function buildTabVector(doc) {
+  const vector = {};
+  const language = doc.language || 'en';
+  addVectorFeatures(vector, tokenizeText(doc.title).map(token => normalizeTerm(token, language)), VECTOR_FIELD_WEIGHTS.title);
+  addVectorFeatures(vector, (doc.tags || []).flatMap(tag => tokenizeText(tag)).map(token => normalizeTerm(token)), VECTOR_FIELD_WEIGHTS.tags);
+  addVectorFeatures(vector, tokenizeText(doc.summary).map(token => normalizeTerm(token)), VECTOR_FIELD_WEIGHTS.summary);
+  addVectorFeatures(vector, getFieldTokens('outline', doc.outline).map(token => normalizeTerm(token)), VECTOR_FIELD_WEIGHTS.outline);
+  return finalizeVector(vector);
+}
+
+/**
+ * Vector for query clauses in the same shape indexSearch takes (keywords, arrays of alternatives,
+ * { text, weight } synonyms). Each word is stemmed for every language in play.
+ */
+function buildQueryVector(clauses, languages = ['en']) {
+  const vector = {};
+  for (const clause of clauses) {
+    const alternatives = Array.isArray(clause) ? clause : [clause];
+    for (const alternative of alternatives) {
+      const { text, weight = 1 } = typeof alternative === 'string' ? { text: alternative } : alternative;
+      for (const token of tokenizeText(text)) {
+        const variants = getTermVariants(token, languages);
+        addVectorFeatures(vector, variants, weight / variants.length);
+      }
+    }
+  }
+  return finalizeVector(vector);
+}
+
+/**
+ * Rank [{ id, vector }] docs by cosine similarity to a query vector.
+ * IDF is computed over the docs being ranked, so words every tab shares count for little.
+ * Returns [{ id, similarity }] best first, dropping docs below minSimilarity.
+ */
+function rankByVectorSimilarity(queryVector, docs, { limit = Infinity, minSimilarity = 0 } = {}) {
+  const queryBuckets = Object.keys(queryVector);
+  if (!queryBuckets.length || !docs.length) return [];
+
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const bucket of Object.keys(doc.vector || {})) {
+      documentFrequency.set(bucket, (documentFrequency.get(bucket) || 0) + 1);
+    }
+  }
+  const idf = (bucket) => Math.log(1 + docs.length / (documentFrequency.get(bucket) || 1));
+
+  let queryNorm = 0;
+  const weightedQuery = {};
+  for (const bucket of queryBuckets) {
+    weightedQuery[bucket] = queryVector[bucket] * idf(bucket);
+    queryNorm += weightedQuery[bucket] ** 2;
+  }
+  queryNorm = Math.sqrt(queryNorm);
+  if (!queryNorm) return [];
+
+  const ranked = [];
+  for (const doc of docs) {
+    const vector = doc.vector || {};
+    let docNorm = 0;
+    for (const [bucket, value] of Object.entries(vector)) docNorm += (value * idf(bucket)) ** 2;
+    docNorm = Math.sqrt(docNorm);
+    if (!docNorm) continue;
+
+    let dot = 0;
+    for (const bucket of queryBuckets) {
+      if (vector[bucket]) dot += weightedQuery[bucket] * vector[bucket] * idf(bucket);
+    }
+    const similarity = dot / (queryNorm * docNorm);
+    if (similarity > minSimilarity) ranked.push({ id: doc.id, similarity });
+  }
+
+  return ranked.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}